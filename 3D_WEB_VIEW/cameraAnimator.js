@@ -0,0 +1,107 @@
+// Camera animation: tweens the camera position, the OrbitControls target and the field of view.
+// Only one animation runs at a time - starting a new one replaces the old one, and any user
+// interaction with the controls (drag, zoom, pan) cancels it so the user is never fought for the camera.
+// The viewer calls `update()` once per frame from its render loop.
+
+import * as THREE from 'three';
+
+export const Easing = {
+    linear: (t) => t,
+    easeInQuad: (t) => t * t,
+    easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    // The viewer's default for presets and focus: one symmetric cubic curve, so the speed changes
+    // smoothly through the midpoint
+    easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2
+};
+
+const DEFAULT_DURATION = 1500;
+
+export class CameraAnimator {
+    constructor(camera, controls) {
+        this.camera = camera;
+        this.controls = controls;
+        this.animation = null;
+
+        // User input always wins over a running animation
+        this.controls.addEventListener('start', () => this.cancel());
+    }
+
+    get isAnimating() {
+        return this.animation !== null;
+    }
+
+    // options: { position, target, fov, duration (ms), easing (name or function),
+    //            positionAt(t, start, end) for custom paths, onComplete, onCancel }
+    animateTo(options = {}) {
+        this.cancel();
+
+        const position = options.position ? options.position.clone() : this.camera.position.clone();
+        const target = options.target ? options.target.clone() : this.controls.target.clone();
+        const fov = Number(options.fov) > 0 ? Number(options.fov) : this.camera.fov;
+        const duration = options.duration !== undefined ? Math.max(0, Number(options.duration) || 0) : DEFAULT_DURATION;
+
+        this.animation = {
+            startPosition: this.camera.position.clone(),
+            startTarget: this.controls.target.clone(),
+            startFov: this.camera.fov,
+            position,
+            target,
+            fov,
+            duration,
+            easing: this.resolveEasing(options.easing),
+            positionAt: options.positionAt || null,
+            onComplete: options.onComplete || null,
+            onCancel: options.onCancel || null,
+            startTime: performance.now()
+        };
+
+        // Zero-length animations jump straight to the end pose
+        if (duration === 0) {
+            this.update();
+        }
+    }
+
+    resolveEasing(easing) {
+        if (typeof easing === 'function') return easing;
+        return Easing[easing] || Easing.easeInOut;
+    }
+
+    update(now = performance.now()) {
+        const animation = this.animation;
+        if (!animation) return;
+
+        const progress = animation.duration > 0
+            ? Math.min((now - animation.startTime) / animation.duration, 1)
+            : 1;
+        const t = animation.easing(progress);
+
+        if (animation.positionAt) {
+            this.camera.position.copy(animation.positionAt(t, animation.startPosition, animation.position));
+        } else {
+            this.camera.position.lerpVectors(animation.startPosition, animation.position, t);
+        }
+        this.controls.target.lerpVectors(animation.startTarget, animation.target, t);
+
+        if (animation.fov !== animation.startFov) {
+            this.camera.fov = THREE.MathUtils.lerp(animation.startFov, animation.fov, t);
+            this.camera.updateProjectionMatrix();
+        }
+
+        this.controls.update();
+
+        if (progress >= 1) {
+            this.animation = null;
+            if (animation.onComplete) animation.onComplete();
+        }
+    }
+
+    cancel() {
+        const animation = this.animation;
+        if (!animation) return;
+
+        this.animation = null;
+        if (animation.onCancel) animation.onCancel();
+    }
+}
@@ -0,0 +1,95 @@
+// Decoders for compressed glTF: Draco geometry (KHR_draco_mesh_compression), Meshopt buffers
+// (EXT_meshopt_compression) and KTX2 / Basis Universal textures (KHR_texture_basisu). The Draco and
+// Basis decoders are vendored in assets/decoders and loaded from there, never from a CDN; the Meshopt
+// decoder is bundled with three.js. Decoders start their workers on first use and are shared by
+// every model load.
+//
+// `onStage` is called with the decode stages in progress, e.g. ['Decoding Draco geometry (12)'],
+// and with an empty list once they are done, so the loading overlay can show them.
+
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+
+const DECODER_PATH = '3D_WEB_VIEW/assets/decoders/';
+
+const STAGE_LABELS = {
+    draco: 'Decoding Draco geometry',
+    meshopt: 'Decoding Meshopt buffers',
+    ktx2: 'Transcoding KTX2 textures'
+};
+
+class TrackedDRACOLoader extends DRACOLoader {
+    constructor(decoders) {
+        super();
+        this.decoders = decoders;
+    }
+
+    decodeGeometry(buffer, taskConfig) {
+        return this.decoders.track('draco', super.decodeGeometry(buffer, taskConfig));
+    }
+}
+
+class TrackedKTX2Loader extends KTX2Loader {
+    constructor(decoders) {
+        super();
+        this.decoders = decoders;
+    }
+
+    load(url, onLoad, onProgress, onError) {
+        this.decoders.track('ktx2', new Promise((resolve, reject) => {
+            super.load(url, resolve, onProgress, reject);
+        })).then(onLoad, onError);
+    }
+}
+
+export class ModelDecoders {
+    constructor(renderer) {
+        this.pending = { draco: 0, meshopt: 0, ktx2: 0 };
+        this.onStage = null;
+
+        this.dracoLoader = new TrackedDRACOLoader(this).setDecoderPath(`${DECODER_PATH}draco/`);
+        this.ktx2Loader = new TrackedKTX2Loader(this).setTranscoderPath(`${DECODER_PATH}basis/`).detectSupport(renderer);
+
+        // The glTF loader prefers the async entry point, which lets decoding count as a stage
+        this.meshoptDecoder = {
+            ...MeshoptDecoder,
+            decodeGltfBufferAsync: (count, stride, source, mode, filter) => this.track('meshopt', MeshoptDecoder.ready.then(() => {
+                const target = new Uint8Array(count * stride);
+                MeshoptDecoder.decodeGltfBuffer(target, count, stride, source, mode, filter);
+                return target;
+            }))
+        };
+    }
+
+    // Set up a GLTFLoader; KTX2 files load through the model's manager so its URL modifier applies
+    attach(loader, manager) {
+        this.ktx2Loader.manager = manager;
+        loader.setDRACOLoader(this.dracoLoader);
+        loader.setKTX2Loader(this.ktx2Loader);
+        loader.setMeshoptDecoder(this.meshoptDecoder);
+        return loader;
+    }
+
+    // Count `promise` as pending work of a stage until it settles
+    track(stage, promise) {
+        this.pending[stage]++;
+        this.notify();
+        const done = () => {
+            this.pending[stage]--;
+            this.notify();
+        };
+        promise.then(done, done);
+        return promise;
+    }
+
+    getStages() {
+        return Object.keys(this.pending)
+            .filter((stage) => this.pending[stage] > 0)
+            .map((stage) => `${STAGE_LABELS[stage]} (${this.pending[stage]})`);
+    }
+
+    notify() {
+        if (this.onStage) this.onStage(this.getStages());
+    }
+}
@@ -0,0 +1,168 @@
+// Exploded view: pulls the model's top-level parts away from its center for teaching.
+// The parts are the first level of the Scene Outliner hierarchy that actually branches (single-child
+// wrapper nodes such as the glTF scene root are skipped). Each part moves along the direction from the
+// model center to its own bounding-box center, or along an authored vector in its glTF `extras`:
+//
+//     "extras": { "explode": [0, 0, -2.5] }   // offset at full explode, in the parent's local units
+//
+// Offsets are applied as deltas on top of the current positions, so parts moved with the transform
+// gizmo keep their edits, and an amount of 0 always puts the assembly back together.
+// The viewer calls `update()` once per frame from its render loop.
+
+import * as THREE from 'three';
+import { Easing } from './cameraAnimator.js';
+
+const DEFAULT_DURATION = 1200;
+
+// Distance at full explode: the part's own distance from the center plus a share of the model radius,
+// so parts near the middle still separate
+const DISTANCE_SCALE = 1.0;
+const RADIUS_SHARE = 0.5;
+
+export class ExplodedView {
+    constructor() {
+        this.root = null;
+        this.parts = []; // { object, offset } with the offset in the parent's local space at amount 1
+        this.amount = 0;
+        this.animation = null;
+        this.onChange = null; // Called with the amount whenever it changes
+    }
+
+    get isAnimating() {
+        return this.animation !== null;
+    }
+
+    // The amount the model is at, or heading to while animating
+    get targetAmount() {
+        return this.animation ? this.animation.to : this.amount;
+    }
+
+    setModel(root) {
+        this.animation = null;
+        this.root = root;
+        this.parts = root ? this.computeParts(root) : [];
+        this.amount = 0;
+        this.notify();
+    }
+
+    findPartLevel(root) {
+        let node = root;
+        while (node.children.length === 1 && !node.isMesh) {
+            node = node.children[0];
+        }
+        return node.children;
+    }
+
+    computeParts(root) {
+        root.updateMatrixWorld(true);
+
+        const modelBox = new THREE.Box3().setFromObject(root);
+        if (modelBox.isEmpty()) return [];
+        const modelCenter = modelBox.getCenter(new THREE.Vector3());
+        const modelRadius = modelBox.getSize(new THREE.Vector3()).length() / 2;
+
+        return this.findPartLevel(root).map((object) => {
+            const authored = object.userData.explode;
+            if (Array.isArray(authored) && authored.length === 3) {
+                return { object, offset: new THREE.Vector3().fromArray(authored.map(Number)) };
+            }
+
+            const box = new THREE.Box3().setFromObject(object);
+            if (box.isEmpty()) return null;
+
+            const direction = box.getCenter(new THREE.Vector3()).sub(modelCenter);
+            const distance = direction.length();
+            // A part sitting on the center has no direction to move in
+            if (distance < modelRadius * 1e-3) return null;
+
+            const worldOffset = direction.normalize().multiplyScalar(distance * DISTANCE_SCALE + modelRadius * RADIUS_SHARE);
+
+            // Express the offset in the parent's space, where the part's position lives
+            const worldPosition = object.getWorldPosition(new THREE.Vector3());
+            const parent = object.parent;
+            const from = parent.worldToLocal(worldPosition.clone());
+            const to = parent.worldToLocal(worldPosition.clone().add(worldOffset));
+            return { object, offset: to.sub(from) };
+        }).filter(Boolean);
+    }
+
+    // Jump straight to an amount between 0 (assembled) and 1 (fully exploded)
+    setAmount(amount) {
+        this.animation = null;
+        this.applyAmount(amount);
+    }
+
+    applyAmount(amount) {
+        const clamped = THREE.MathUtils.clamp(Number(amount) || 0, 0, 1);
+        const delta = clamped - this.amount;
+        if (delta === 0) return;
+
+        this.parts.forEach(({ object, offset }) => {
+            object.position.addScaledVector(offset, delta);
+        });
+        this.amount = clamped;
+        this.notify();
+    }
+
+    // options: { duration (ms), easing (name or function), onComplete }
+    animateTo(amount, options = {}) {
+        const to = THREE.MathUtils.clamp(Number(amount) || 0, 0, 1);
+        const duration = options.duration !== undefined ? Math.max(0, Number(options.duration) || 0) : DEFAULT_DURATION;
+
+        this.animation = {
+            from: this.amount,
+            to,
+            duration,
+            easing: typeof options.easing === 'function' ? options.easing : (Easing[options.easing] || Easing.easeInOutCubic),
+            onComplete: options.onComplete || null,
+            startTime: performance.now()
+        };
+
+        if (duration === 0) {
+            this.update();
+        }
+    }
+
+    update(now = performance.now()) {
+        const animation = this.animation;
+        if (!animation) return;
+
+        const progress = animation.duration > 0
+            ? Math.min((now - animation.startTime) / animation.duration, 1)
+            : 1;
+        this.applyAmount(THREE.MathUtils.lerp(animation.from, animation.to, animation.easing(progress)));
+
+        if (progress >= 1) {
+            this.animation = null;
+            if (animation.onComplete) animation.onComplete();
+        }
+    }
+
+    // Jump to the end of a running animation, e.g. before restoring saved positions
+    finish() {
+        if (this.animation) {
+            this.update(this.animation.startTime + this.animation.duration);
+        }
+    }
+
+    // Run `callback` with the parts placed at `amount`, e.g. to measure where they will end up,
+    // then put them back without notifying
+    withAmount(amount, callback) {
+        const current = this.amount;
+        const onChange = this.onChange;
+        this.onChange = null;
+        try {
+            this.applyAmount(amount);
+            if (this.root) this.root.updateMatrixWorld(true);
+            return callback();
+        } finally {
+            this.applyAmount(current);
+            if (this.root) this.root.updateMatrixWorld(true);
+            this.onChange = onChange;
+        }
+    }
+
+    notify() {
+        if (this.onChange) this.onChange(this.amount);
+    }
+}
@@ -0,0 +1,81 @@
+// Undo/redo history: a stack of commands, each { label, undo(), redo() } and optionally dispose().
+// Edits apply their change first and then push a command that can revert and re-apply it.
+// Commands that keep resources alive for undo (textures, environment maps) free them in dispose(),
+// which runs once the command can no longer be reached: pushed past the limit, discarded from the
+// redo stack by a new edit, or cleared.
+
+const DEFAULT_LIMIT = 100;
+
+export class History {
+    constructor(limit = DEFAULT_LIMIT) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.onChange = null; // Called after every change so the UI can refresh
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.discard([this.undoStack.shift()]);
+        }
+        // A new edit invalidates anything that was undone
+        this.discard(this.redoStack);
+        this.redoStack = [];
+        this.notify();
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return;
+
+        command.undo();
+        this.redoStack.push(command);
+        this.notify();
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return;
+
+        command.redo();
+        this.undoStack.push(command);
+        this.notify();
+    }
+
+    // Step back or forward until `index` commands are applied (0 = before the oldest entry)
+    goTo(index) {
+        while (this.undoStack.length > index && this.canUndo) {
+            this.undo();
+        }
+        while (this.undoStack.length < index && this.canRedo) {
+            this.redo();
+        }
+    }
+
+    clear() {
+        const dropped = this.undoStack.concat(this.redoStack);
+        this.undoStack = [];
+        this.redoStack = [];
+        this.discard(dropped);
+        this.notify();
+    }
+
+    discard(commands) {
+        commands.forEach((command) => {
+            if (command.dispose) command.dispose();
+        });
+    }
+
+    notify() {
+        if (this.onChange) this.onChange(this);
+    }
+}
@@ -0,0 +1,195 @@
+// Hotspots: numbered pins anchored to points on the model's surface, each with an icon and a popup.
+// Like the info popup's intersection point, a pin is stored in the local space of the mesh it was
+// placed on, so it stays attached while the model rotates, explodes or is edited. Pins are HTML
+// elements placed over the canvas; pins hidden behind geometry are dimmed and can't be clicked.
+// The viewer calls `update()` once per frame from its render loop.
+
+import * as THREE from 'three';
+
+export const HOTSPOT_ICONS = {
+    pin: '📍',
+    info: 'ℹ️',
+    warning: '⚠️',
+    star: '⭐',
+    tool: '🔧'
+};
+
+const OCCLUSION_INTERVAL = 100; // ms between occlusion raycasts
+
+export class HotspotManager {
+    constructor(scene, camera, container) {
+        this.scene = scene;
+        this.camera = camera;
+        this.container = container; // Canvas container, for projecting pins
+        this.model = null;
+        this.pins = []; // { id, object, local, icon, title, text, element }
+        this.nextId = 1;
+        this.filterHit = () => true; // Set by the viewer: which raycast hits can hide a pin
+        this.onSelect = null; // Called with the pin when it is clicked
+        this.onChange = null; // Called when pins are added, removed or edited
+        this.raycaster = new THREE.Raycaster();
+        this.lastOcclusionCheck = 0;
+
+        this.layer = document.createElement('div');
+        this.layer.className = 'hotspot-layer';
+        document.body.appendChild(this.layer);
+    }
+
+    setModel(model) {
+        this.clear();
+        this.model = model;
+    }
+
+    // data: { object, point (world) or local, icon, title, text, id }
+    add(data) {
+        if (!data.object) return null;
+
+        const pin = {
+            id: data.id || this.nextId,
+            object: data.object,
+            local: data.local ? data.local.clone() : data.object.worldToLocal(data.point.clone()),
+            icon: HOTSPOT_ICONS[data.icon] ? data.icon : 'pin',
+            title: data.title || '',
+            text: data.text || ''
+        };
+        this.nextId = Math.max(this.nextId, pin.id) + 1;
+
+        pin.element = document.createElement('button');
+        pin.element.className = 'hotspot-pin';
+        pin.element.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.onSelect) this.onSelect(pin);
+        });
+        this.layer.appendChild(pin.element);
+
+        this.pins.push(pin);
+        this.renderPin(pin);
+        this.lastOcclusionCheck = 0;
+        this.notify();
+        return pin;
+    }
+
+    edit(pin, changes) {
+        ['icon', 'title', 'text'].forEach((key) => {
+            if (changes[key] !== undefined) pin[key] = changes[key];
+        });
+        this.renderPin(pin);
+        this.notify();
+    }
+
+    remove(pin) {
+        const index = this.pins.indexOf(pin);
+        if (index === -1) return;
+
+        this.pins.splice(index, 1);
+        pin.element.remove();
+        this.pins.forEach((other) => this.renderPin(other)); // Numbers follow list order
+        this.notify();
+    }
+
+    clear() {
+        this.pins.forEach((pin) => pin.element.remove());
+        this.pins = [];
+        this.notify();
+    }
+
+    getPin(id) {
+        return this.pins.find((pin) => pin.id === id) || null;
+    }
+
+    getNumber(pin) {
+        return this.pins.indexOf(pin) + 1;
+    }
+
+    getWorldPosition(pin) {
+        return pin.object.localToWorld(pin.local.clone());
+    }
+
+    renderPin(pin) {
+        pin.element.innerHTML = '';
+        const icon = document.createElement('span');
+        icon.className = 'hotspot-icon';
+        icon.textContent = HOTSPOT_ICONS[pin.icon];
+        const number = document.createElement('span');
+        number.className = 'hotspot-number';
+        number.textContent = this.getNumber(pin);
+        pin.element.append(icon, number);
+        pin.element.title = pin.title || `Hotspot ${this.getNumber(pin)}`;
+    }
+
+    // Plain data for saving and undo: the mesh is referenced by uuid
+    getState() {
+        return this.pins.map((pin) => ({
+            id: pin.id,
+            uuid: pin.object.uuid,
+            point: pin.local.toArray(),
+            icon: pin.icon,
+            title: pin.title,
+            text: pin.text
+        }));
+    }
+
+    setState(state) {
+        this.clear();
+        if (!this.model || !Array.isArray(state)) return;
+
+        const objects = new Map();
+        this.model.traverse((child) => objects.set(child.uuid, child));
+        state.forEach((data) => {
+            const object = objects.get(data.uuid);
+            if (!object || !Array.isArray(data.point)) return;
+            this.add({ ...data, object, local: new THREE.Vector3().fromArray(data.point) });
+        });
+    }
+
+    update() {
+        if (this.pins.length === 0) return;
+
+        const rect = this.container.getBoundingClientRect();
+        const now = performance.now();
+        const checkOcclusion = now - this.lastOcclusionCheck >= OCCLUSION_INTERVAL;
+        if (checkOcclusion) this.lastOcclusionCheck = now;
+
+        this.pins.forEach((pin) => {
+            const world = this.getWorldPosition(pin);
+            const projected = world.clone().project(this.camera);
+            const onScreen = projected.z < 1 && Math.abs(projected.x) <= 1 && Math.abs(projected.y) <= 1;
+            const shown = onScreen && this.isShown(pin.object);
+
+            pin.element.style.display = shown ? '' : 'none';
+            if (!shown) return;
+
+            pin.element.style.left = `${rect.left + (projected.x * 0.5 + 0.5) * rect.width}px`;
+            pin.element.style.top = `${rect.top + (-projected.y * 0.5 + 0.5) * rect.height}px`;
+
+            if (checkOcclusion) {
+                pin.element.classList.toggle('occluded', this.isOccluded(world));
+            }
+        });
+    }
+
+    isOccluded(world) {
+        const direction = world.clone().sub(this.camera.position);
+        const distance = direction.length();
+        this.raycaster.set(this.camera.position, direction.normalize());
+        this.raycaster.far = distance;
+
+        // Anything hit clearly in front of the pin's own surface hides it
+        const hit = this.raycaster.intersectObject(this.model, true).find((candidate) => this.filterHit(candidate));
+        return !!hit && hit.distance < distance * (1 - 1e-3);
+    }
+
+    isShown(object) {
+        let current = object;
+        while (current) {
+            if (!current.visible) return false;
+            if (current === this.model) return true;
+            current = current.parent;
+        }
+        return false;
+    }
+
+    notify() {
+        if (this.onChange) this.onChange(this.pins);
+    }
+}
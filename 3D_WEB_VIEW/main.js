@@ -1,8 +1,39 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
 import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js';
+import { PartCatalog } from './partCatalog.js';
+import { renderMarkdown } from './markdown.js';
+import { TourPlayer } from './tourPlayer.js';
+import { CameraAnimator } from './cameraAnimator.js';
+import { SelectionManager } from './selection.js';
+import { History } from './history.js';
+import { ExplodedView } from './explodedView.js';
+import { SectionPlanes } from './sectionPlanes.js';
+import { MeasurementTool } from './measurements.js';
+import { HotspotManager, HOTSPOT_ICONS } from './hotspots.js';
+import { parseViewLink, formatViewLink } from './viewLink.js';
+import { SETTINGS_VERSION, readSettings } from './settingsSchema.js';
+import { NodeIndex, getNodePath, findNodeByPath } from './nodeIds.js';
+import { SessionStore } from './sessionStore.js';
+import { ModelPipeline } from './modelPipeline.js';
+import { MODEL_UNITS, FIT_TO_VIEW, REFERENCE_RADIUS, resolveModelUnit, isModelUnitSetting, getDisplayScale } from './modelUnits.js';
+import { removeUselessEvents } from '../dropArea/dragAndDrop.js';
+import { ModelFileSet, readDroppedFiles } from './modelFiles.js';
+import { ModelDecoders } from './decoders.js';
+
+// Scene outliner rows are virtualized; these are the estimates used until a row has been measured
+const OUTLINER_ROW_HEIGHT = 28;
+const OUTLINER_ATTRIBUTES_HEIGHT = 240;
+const OUTLINER_OVERSCAN = 200; // Extra pixels rendered above and below the visible area
+
+// Sessions are autosaved this long after the last edit
+const AUTOSAVE_DELAY = 2000;
+
+// While idle the model turns between -45 and +45 degrees, one full cycle every 80 seconds
+const IDLE_ROTATION_CYCLE = 80;
 
 class SatelliteViewer {
     constructor() {
@@ -15,13 +46,15 @@ class SatelliteViewer {
         this.mouse = new THREE.Vector2();
         this.selectedPart = null;
         this.partData = new Map(); // Store part information
+        this.partCatalog = new PartCatalog(); // Per-model part names, groups and presets
         this.isRotationPaused = false; // Flag to pause rotation
         this.lastIntersectionPoint = null; // Store the 3D intersection point
         this.connectionLine = null; // Line connecting object to popup
         this.connectionMarker = null; // Filled circle marker at the start of the line
         this.selectedObject = null; // Store the selected object for real-time updates
         this.selectedIntersectionPoint = null; // Store intersection point in local coordinates
-        this.clickTimeout = null; // Timeout for click detection
+        this.pointerDownPosition = null; // Where the last press started, to tell clicks from drags
+        this.hoverFramePending = false; // Hover picking runs at most once per frame
         
         // Lighting references
         this.ambientLight = null;
@@ -49,6 +82,67 @@ class SatelliteViewer {
         this.originalOpacities = new Map(); // Store original opacity values
         this.currentPreset = null; // Track current preset
         
+        // Annotation editing state
+        this.isAnnotationMode = false;
+        this.annotationTarget = null; // Mesh being edited in the annotation editor
+        
+        // Undo/redo history and outliner visibility state
+        this.history = new History();
+        this.isolation = null; // { object, previousVisibility: Map(node -> visible) } while a node is isolated
+        
+        // Scene outliner state (rows are virtualized, so expansion lives here rather than in the DOM)
+        this.outlinerExpanded = new Set(); // uuids of expanded nodes
+        this.outlinerFilter = null; // { query, field } while the search box is in use
+        this.outlinerRows = []; // Flattened tree: { type: 'node' | 'attributes', object, depth, key }
+        this.outlinerOffsets = []; // Top of each row, with the total height as the last entry
+        this.outlinerRowHeights = new Map(); // Measured heights by row key
+        this.outlinerRowElements = new Map(); // Rendered rows by key: { row, element }
+        this.outlinerAttributeCache = new Map(); // Attribute and material panels by uuid, created on first expand
+        this.outlinerRowsContainer = null;
+        this.outlinerRenderPending = false;
+        this.outlinerTransformFields = new Map(); // uuid -> refresh function for the numeric transform fields
+        
+        // Exploded view of the model's top-level parts
+        this.explodedView = new ExplodedView();
+        this.explodeStart = null; // Explode amount when a slider drag began
+        
+        // Section planes: handle gizmo and the plane it is attached to ({ id, mode })
+        this.sectionControls = null;
+        this.sectionHandle = null;
+        this.sectionEditStart = null; // Section state when a drag or picker edit began
+        this.sectionRows = new Map(); // Plane id -> { element, refresh }
+        
+        // Hotspot pins: placement mode and panel rows by pin id
+        this.isPlacingHotspot = false;
+        this.hotspotRows = new Map(); // Pin id -> { element, refresh }
+        
+        // Transform gizmo state
+        this.transformControls = null;
+        this.transformMode = 'none'; // 'none' | 'translate' | 'rotate' | 'scale'
+        this.transformStart = null; // Transform of the attached object when a gizmo drag began
+        this.pointerDownOnGizmo = false;
+        
+        // Share links: path of the loaded model (null for local files) and a view waiting for its model
+        this.modelPath = null;
+        this.pendingViewLink = parseViewLink(window.location);
+        
+        // Model units and size: the unit selector value ('auto' or a MODEL_UNITS key), the model's
+        // largest dimension in file units, the steps it was loaded with and how large the displayed
+        // model is compared to what the camera, controls and lights default to
+        this.modelUnit = 'auto';
+        this.modelSize = 0;
+        this.modelSteps = {};
+        this.sceneScale = 1;
+        
+        // Named sessions and autosave in IndexedDB, per model file name
+        this.sessionStore = new SessionStore();
+        this.modelKey = null;
+        this.autosaveTimer = null;
+        
+        // Guided tour playback
+        this.tourPlayer = new TourPlayer(this);
+        this.tourPlayer.onChange = () => this.updateTourControls();
+        
         this.init();
         this.setupEventListeners();
         this.animate();
@@ -79,7 +173,9 @@ class SatelliteViewer {
         this.camera.position.set(0, 0, -5);
         
         // Create renderer
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        // Stencil and local clipping are needed for section planes and their caps
+        this.renderer = new THREE.WebGLRenderer({ antialias: true, stencil: true });
+        this.renderer.localClippingEnabled = true;
         this.renderer.setSize(containerWidth, containerHeight);
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
@@ -90,6 +186,10 @@ class SatelliteViewer {
         this.pmremGenerator = new THREE.PMREMGenerator(this.renderer);
         this.pmremGenerator.compileEquirectangularShader();
         
+        // Draco, Meshopt and KTX2 decoders for compressed models, shared by every load
+        this.decoders = new ModelDecoders(this.renderer);
+        this.decoders.onStage = (stages) => this.setLoadingStage(stages);
+        
         container.appendChild(this.renderer.domElement);
         
         // Add lights
@@ -103,12 +203,48 @@ class SatelliteViewer {
         this.controls.maxDistance = 50; // Increased max distance for larger scale
         this.controls.enablePan = true;
         
+        // Animated camera moves for presets, tours and view resets
+        this.cameraAnimator = new CameraAnimator(this.camera, this.controls);
+        this.homeView = {
+            position: this.camera.position.clone(),
+            target: this.controls.target.clone(),
+            fov: this.camera.fov
+        };
+        
         // Create raycaster for click detection
         this.raycaster = new THREE.Raycaster();
         
+        // Selection and hover highlighting, kept in sync with the outliner
+        this.selection = new SelectionManager(this.scene);
+        this.selection.onChange = () => {
+            this.syncOutlinerSelection();
+            this.updateTransformGizmo();
+        };
+        
+        // Translate/rotate/scale gizmo for the selected object
+        this.setupTransformControls();
+        
+        // Clipping planes for cutaway views; model materials are hooked up as they are converted
+        this.sectionPlanes = new SectionPlanes(this.scene);
+        this.selection.setClippingPlanes(this.sectionPlanes.clippingPlanes);
+        
+        // Distance, angle and bounding-box measurements, picked with the same raycast as selection
+        this.measurements = new MeasurementTool(this.scene, this.camera, container);
+        
+        // Persistent hotspot pins; hidden parts and cut-away surfaces don't hide them
+        this.hotspots = new HotspotManager(this.scene, this.camera, container);
+        this.hotspots.filterHit = (hit) => !this.someAncestor(hit.object, node => !node.visible) && !this.sectionPlanes.isClipped(hit.point);
+        this.hotspots.onSelect = (pin) => this.showHotspot(pin);
+        
+        this.setupSectionControls();
+        
         // Load 3D model
+        this.setupModelPipeline();
         this.loadModel();
         
+        // Links pasted into the address bar of an open viewer
+        window.addEventListener('hashchange', () => this.openViewLink(parseViewLink(window.location)));
+        
         // Handle window resize
         window.addEventListener('resize', () => {
             this.onWindowResize();
@@ -141,6 +277,7 @@ class SatelliteViewer {
 
         starsGeometry.setAttribute('position', new THREE.Float32BufferAttribute(starsVertices, 3));
         this.starField = new THREE.Points(starsGeometry, starsMaterial);
+        this.starField.scale.setScalar(this.sceneScale);
         this.scene.add(this.starField);
         
         // Apply initial intensity
@@ -150,7 +287,7 @@ class SatelliteViewer {
     updateStarFieldIntensity() {
         if (this.starField && this.starField.material) {
             // Adjust star size and opacity based on intensity
-            this.starField.material.size = 0.1 * this.backgroundIntensity;
+            this.starField.material.size = 0.1 * this.backgroundIntensity * this.sceneScale;
             this.starField.material.opacity = Math.min(1.0, this.backgroundIntensity);
             this.starField.material.transparent = this.backgroundIntensity < 1.0;
             this.starField.material.needsUpdate = true;
@@ -284,6 +421,7 @@ class SatelliteViewer {
     optimizeMaterial(material) {
         // Ensure material properties are properly set
         material.needsUpdate = true;
+        this.sectionPlanes.applyToMaterial(material);
         
         // Set proper side rendering
         if (material.side === undefined) {
@@ -317,12 +455,15 @@ class SatelliteViewer {
             texture.colorSpace = THREE.NoColorSpace;
         }
         
+        // Enable texture updates
+        texture.needsUpdate = true;
+        
+        // KTX2 textures keep the filters the loader chose for the mip levels they carry
+        if (texture.isCompressedTexture) return;
+        
         // Set proper texture filtering
         texture.minFilter = THREE.LinearMipmapLinearFilter;
         texture.magFilter = THREE.LinearFilter;
-        
-        // Enable texture updates
-        texture.needsUpdate = true;
     }
 
     convertToStandardMaterial(sourceMaterial) {
@@ -379,6 +520,7 @@ class SatelliteViewer {
             }
         });
         
+        this.sectionPlanes.applyToMaterial(newMaterial);
         newMaterial.needsUpdate = true;
         return newMaterial;
     }
@@ -400,6 +542,13 @@ class SatelliteViewer {
         overlay.classList.remove('hidden');
         progressBar.style.width = '0%';
         percentText.textContent = '0%';
+        this.setLoadingStage([]);
+    }
+    
+    // Decode stages of compressed models replace the title while they run
+    setLoadingStage(stages) {
+        const title = document.getElementById('loading-title');
+        if (title) title.textContent = stages.length > 0 ? `${stages.join(' · ')}...` : 'Loading Model...';
     }
 
     hideLoadingIndicator() {
@@ -414,12 +563,17 @@ class SatelliteViewer {
         percentText.textContent = percent.toFixed(0) + '%';
     }
 
-    createGLTFLoader() {
+    createGLTFLoader(resolveUrl = null) {
         // Set up a loading manager to track texture loading
         const manager = new THREE.LoadingManager();
         
         // Set the base path for loading resources
         manager.setURLModifier((url) => {
+            // Files that came with the model (e.g. dropped together with it) are used first
+            const resolved = resolveUrl && resolveUrl(url);
+            if (resolved) {
+                return resolved;
+            }
             // If the URL is already absolute or starts with http, return as is
             if (url.startsWith('http://') || url.startsWith('https://') || url.startsWith('data:')) {
                 return url;
@@ -451,7 +605,8 @@ class SatelliteViewer {
         // GLTFLoader uses its own internal texture loading, but we can set a manager
         // The textures will be configured after loading in processGLTFTextures
         
-        return loader;
+        // Compressed geometry, buffers and textures
+        return this.decoders.attach(loader, manager);
     }
 
     configureLoadedTexture(texture) {
@@ -468,10 +623,6 @@ class SatelliteViewer {
             texture.colorSpace = THREE.NoColorSpace;
         }
         
-        // Set proper texture filtering
-        texture.minFilter = THREE.LinearMipmapLinearFilter;
-        texture.magFilter = THREE.LinearFilter;
-        
         // Set proper wrapping
         texture.wrapS = THREE.RepeatWrapping;
         texture.wrapT = THREE.RepeatWrapping;
@@ -479,59 +630,181 @@ class SatelliteViewer {
         // Enable texture updates
         texture.needsUpdate = true;
         
+        // KTX2 textures carry their own mip levels, and compressed formats can't generate them
+        if (texture.isCompressedTexture) return;
+        
+        // Set proper texture filtering
+        texture.minFilter = THREE.LinearMipmapLinearFilter;
+        texture.magFilter = THREE.LinearFilter;
+        
         // Generate mipmaps if not already done
         if (texture.image && texture.image.width) {
             texture.generateMipmaps = true;
         }
     }
 
+    setupModelPipeline() {
+        // Post-processing for every loaded model, in order; see modelPipeline.js
+        this.modelPipeline = new ModelPipeline()
+            .addStep('normalize', () => {
+                // Show the model at real-world size for its unit (see modelUnits.js)
+                this.scaleModelToUnit();
+            })
+            .addStep('center', ({ model }) => {
+                const center = new THREE.Box3().setFromObject(model).getCenter(new THREE.Vector3());
+                model.position.sub(center);
+            })
+            .addStep('convertMaterials', ({ model }) => {
+                // Convert materials to proper format for Three.js
+                this.convertMaterials(model);
+            })
+            .addStep('solarPanelTexture', () => {
+                // Apply solar panel texture to specific materials
+                this.applySolarPanelTexture();
+            })
+            .addStep('partInfo', ({ gltf, catalogRequest }) => {
+                // Add part info to meshes once the model's part catalog is known
+                catalogRequest.then((catalog) => this.applyPartCatalog(catalog, gltf));
+            });
+    }
+
     loadModel() {
-        const loader = this.createGLTFLoader();
+        const modelPath = this.getLinkedModelPath(this.pendingViewLink) || '3D_WEB_VIEW/assets/models/NASA_Orion_GLTF_TEST1A.gltf';
+        this.loadModelSource({ url: modelPath, modelPath });
+    }
+
+    loadModelByPath(modelPath) {
+        this.loadModelSource({ url: modelPath, modelPath });
+    }
+
+    loadModelFromFile(file) {
+        this.loadModelFromFiles([file]);
+    }
+
+    // A model together with the files it references: several files, a folder's contents or .zip
+    // archives, as Files or { path, file } entries. See modelFiles.js for how references are found.
+    loadModelFromFiles(files) {
+        ModelFileSet.fromFiles(files)
+            .then((fileSet) => {
+                this.loadModelSource({
+                    url: fileSet.model.url,
+                    name: fileSet.name,
+                    resolveUrl: (url) => fileSet.resolve(url),
+                    dispose: () => {
+                        // Clean up object URLs
+                        fileSet.dispose();
+                        if (fileSet.missing.length > 0) {
+                            console.warn(`Files referenced by ${fileSet.name} were not found:`, fileSet.missing);
+                            alert(`These files used by ${fileSet.name} were not found among the selected files:\n\n${this.formatReport(fileSet.missing)}`);
+                        }
+                    }
+                });
+            })
+            .catch((error) => {
+                console.error('Error opening model files:', error);
+                alert(error.message);
+            });
+    }
+
+    setupDropTarget() {
+        const container = document.getElementById('canvas-container');
+        if (!container) return;
+        
+        // The shared drop area helpers stop the browser from opening dropped files and toggle the
+        // container's `highlight` class, which shows the drop overlay
+        removeUselessEvents(container);
+        container.addEventListener('drop', (e) => {
+            // Dropped folders are read in full before anything is opened
+            readDroppedFiles(e.dataTransfer)
+                .then((entries) => this.handleDroppedFiles(entries))
+                .catch((error) => {
+                    console.error('Error reading dropped files:', error);
+                    alert('Failed to read the dropped files. Please check the console for details.');
+                });
+        });
+    }
+    
+    // entries: { path, file }, with folder paths for files inside dropped folders
+    handleDroppedFiles(entries) {
+        const matching = (pattern) => entries.filter(entry => pattern.test(entry.path));
+        const models = matching(/\.(gltf|glb|zip)$/i);
+        // Environment maps and settings are only picked up when dropped on their own, not from a folder
+        const environments = matching(/\.(hdr|exr)$/i).filter(entry => !entry.path.includes('/'));
+        const settings = matching(/\.json$/i).filter(entry => !entry.path.includes('/'));
+        
+        if (environments.length > 0) {
+            this.loadHDRI(environments[0].file);
+        }
+        
+        // Everything else dropped with a model is a file it may reference
+        if (models.length > 0) {
+            this.loadModelFromFiles(entries.filter(entry => !environments.includes(entry)));
+            return;
+        }
+        
+        // Settings apply to the model that is already loaded
+        if (settings.length > 0) {
+            this.loadSettingsFromFile(settings[0].file);
+        } else if (environments.length === 0 && entries.length > 0) {
+            alert('Drop a .glb or .gltf model (with its .bin and texture files, as a folder or a .zip), an .hdr or .exr environment map, or a settings .json file.');
+        }
+    }
+
+    // The one loading path for all entry points. A source is:
+    //     { url, modelPath, name, steps, unit, resolveUrl, dispose }
+    // - url:       what the glTF loader fetches
+    // - modelPath: the Replace Model menu path, for sidecar files and share links; null for local files
+    // - name:      file name for sessions when there is no modelPath
+    // - steps:     per-load overrides of the post-processing steps, e.g. { normalize: false }
+    // - resolveUrl: maps a resource URL the model references to the URL to load, or returns null
+    // - unit:      the model's unit ('mm', 'cm', 'm' or 'km') instead of guessing it from its size
+    // - dispose:   called once loading finished or failed, e.g. to revoke a blob URL
+    loadModelSource(source) {
+        const modelPath = source.modelPath || null;
+        
+        this.unloadModel();
         
         // Show loading indicator
         this.showLoadingIndicator();
         
+        const loader = this.createGLTFLoader(source.resolveUrl);
+        this.modelPath = modelPath;
+        this.modelKey = this.getModelKey(modelPath || source.name);
+        
+        // Local files can't be opened from a share link
+        if (!modelPath) {
+            this.pendingViewLink = null;
+        }
+        
+        // Fetch the part catalog and tour sidecars alongside the model. Local files have none;
+        // their catalog can come from glTF extras or "Load Part Catalog"
+        const catalogRequest = PartCatalog.load(this.getSidecarUrl(modelPath, '.parts.json'));
+        const tourRequest = TourPlayer.load(this.getSidecarUrl(modelPath, '.tour.json'));
+        
+        const finish = () => {
+            if (source.dispose) source.dispose();
+        };
+        
         loader.load(
-            '3D_WEB_VIEW/assets/models/NASA_Orion_GLTF_TEST1A.gltf',
+            source.url,
             (gltf) => {
                 this.satellite = gltf.scene;
                 
                 // Process all textures in the loaded model
                 this.processGLTFTextures(gltf);
                 
-                // Calculate bounding box to center and scale the model
-                const box = new THREE.Box3().setFromObject(this.satellite);
-                const center = box.getCenter(new THREE.Vector3());
-                const size = box.getSize(new THREE.Vector3());
-                
-                // Center the model
-                this.satellite.position.x = -center.x;
-                this.satellite.position.y = -center.y;
-                this.satellite.position.z = -center.z;
-                
-                // Scale model larger
-                this.satellite.scale.set(40, 40, 40);
-                
-                // Convert materials to proper format for Three.js
-                this.convertMaterials(this.satellite);
+                // The unit is guessed from the size in file units unless the source names one
+                const nativeSize = new THREE.Box3().setFromObject(this.satellite).getSize(new THREE.Vector3());
+                this.modelSize = Math.max(nativeSize.x, nativeSize.y, nativeSize.z);
+                this.modelUnit = isModelUnitSetting(source.unit) ? source.unit : 'auto';
                 
-                // Apply solar panel texture to specific materials
-                this.applySolarPanelTexture();
+                const steps = this.modelPipeline.run({ gltf, model: this.satellite, source, catalogRequest }, source.steps);
+                this.modelSteps = steps;
+                console.log('Model steps:', steps);
+                this.measurements.metersPerUnit = MODEL_UNITS[this.getModelUnit()].meters;
+                this.updateModelUnitControl();
                 
-                // Add part info to meshes that have names
-                this.satellite.traverse((child) => {
-                    if (child.isMesh) {
-                        // If the mesh has a name, create default part info
-                        if (child.name && child.name.trim() !== '') {
-                            const formattedName = this.formatPartName(child.name);
-                            child.userData.partInfo = {
-                                name: formattedName,
-                                description: `Part of the ${formattedName} component.`
-                            };
-                            this.partData.set(child.uuid, child.userData.partInfo);
-                        }
-                    }
-                });
+                tourRequest.then((tour) => this.applyTour(tour, gltf));
                 
                 this.setEnvironmentIntensity(this.currentEnvIntensity);
                 
@@ -541,11 +814,23 @@ class SatelliteViewer {
                 // Build outliner
                 this.buildOutliner();
                 
-                // Adjust camera position based on model size (closer zoom)
-                const newSize = new THREE.Box3().setFromObject(this.satellite).getSize(new THREE.Vector3());
-                const maxSize = Math.max(newSize.x, newSize.y, newSize.z);
-                this.camera.position.set(0, 0, -maxSize * 0.8);
-                this.controls.update();
+                // Exploded view moves the outliner's top-level parts
+                this.explodedView.setModel(this.satellite);
+                this.sectionPlanes.setModel(this.satellite);
+                this.measurements.setModel(this.satellite);
+                this.hotspots.setModel(this.satellite);
+                this.updateSessionPanel();
+                
+                // Camera range, controls and lights follow the model's size
+                this.adaptViewToModel();
+                this.resetView();
+                
+                // A shared link restores its view once the part catalog (and its presets) is in
+                if (this.pendingViewLink) {
+                    const link = this.pendingViewLink;
+                    this.pendingViewLink = null;
+                    catalogRequest.then(() => this.applyViewLink(link, gltf));
+                }
                 
                 // Hide loading indicator after model is fully loaded
                 this.updateLoadingProgress(100);
@@ -555,7 +840,8 @@ class SatelliteViewer {
                     this.updatePanelHeight();
                 }, 300);
                 
-                console.log('Model loaded successfully');
+                finish();
+                console.log('Model loaded successfully:', modelPath || source.name);
             },
             (progress) => {
                 // Loading progress
@@ -571,14 +857,22 @@ class SatelliteViewer {
                 console.error('Error loading GLTF model:', error);
                 this.hideLoadingIndicator();
                 alert('Failed to load 3D model. Please check the console for details.');
+                finish();
             }
         );
     }
 
-    loadModelByPath(modelPath) {
+    unloadModel() {
         // Remove existing model if any
         if (this.satellite) {
             this.scene.remove(this.satellite);
+            this.selection.clear();
+            this.history.clear();
+            this.isolation = null;
+            this.explodedView.setModel(null);
+            this.sectionPlanes.setModel(null);
+            this.measurements.setModel(null);
+            this.hotspots.setModel(null);
             // Dispose of materials and geometries
             this.satellite.traverse((child) => {
                 if (child.isMesh) {
@@ -609,101 +903,129 @@ class SatelliteViewer {
             this.satellite = null;
         }
         
-        // Clear part data
+        // Clear part data; the next model's catalog and presets replace the empty one
         this.partData.clear();
+        this.partCatalog = new PartCatalog();
+        this.buildPresetButtons();
         
-        // Close any open indicators
+        // Close any open indicators and the editor, which would point at a disposed mesh
         this.closeIndicator();
+        this.closeAnnotationEditor();
         
         // Clear outliner
         this.buildOutliner();
+    }
+
+    getModelUnit() {
+        return resolveModelUnit(this.modelUnit, this.modelSize);
+    }
+    
+    // Scale the model for its unit, or to the view size in "fit" mode; the position is scaled along so
+    // a centered model stays centered
+    scaleModelToUnit() {
+        if (!this.satellite) return 1;
+        
+        const scale = getDisplayScale(this.modelUnit, this.modelSize);
+        const ratio = scale / this.satellite.scale.x;
+        this.satellite.scale.setScalar(scale);
+        this.satellite.position.multiplyScalar(ratio);
+        return ratio;
+    }
+    
+    setModelUnit(unit) {
+        this.modelUnit = isModelUnitSetting(unit) ? unit : 'auto';
+        this.updateModelUnitControl();
+        if (!this.satellite) return;
         
-        // Show loading indicator
-        this.showLoadingIndicator();
+        this.measurements.setUnitScale(MODEL_UNITS[this.getModelUnit()].meters);
         
-        // Load new model
-        const loader = this.createGLTFLoader();
+        // A model loaded without normalization keeps its scale; only measurements change
+        if (!this.modelSteps.normalize) return;
         
-        loader.load(
-            modelPath,
-            (gltf) => {
-                this.satellite = gltf.scene;
-                
-                // Process all textures in the loaded model
-                this.processGLTFTextures(gltf);
-                
-                // Calculate bounding box to center and scale the model
-                const box = new THREE.Box3().setFromObject(this.satellite);
-                const center = box.getCenter(new THREE.Vector3());
-                const size = box.getSize(new THREE.Vector3());
-                
-                // Center the model
-                this.satellite.position.x = -center.x;
-                this.satellite.position.y = -center.y;
-                this.satellite.position.z = -center.z;
-                
-                // Scale model larger
-                this.satellite.scale.set(40, 40, 40);
-                
-                // Convert materials to proper format for Three.js
-                this.convertMaterials(this.satellite);
-                
-                // Apply solar panel texture to specific materials
-                this.applySolarPanelTexture();
-                
-                // Add part info to meshes that have names
-                this.satellite.traverse((child) => {
-                    if (child.isMesh) {
-                        // If the mesh has a name, create default part info
-                        if (child.name && child.name.trim() !== '') {
-                            const formattedName = this.formatPartName(child.name);
-                            child.userData.partInfo = {
-                                name: formattedName,
-                                description: `Part of the ${formattedName} component.`
-                            };
-                            this.partData.set(child.uuid, child.userData.partInfo);
-                        }
-                    }
-                });
-                
-                this.setEnvironmentIntensity(this.currentEnvIntensity);
-                
-                // Add satellite to scene
-                this.scene.add(this.satellite);
-                
-                // Build outliner
-                this.buildOutliner();
-                
-                // Adjust camera position based on model size (closer zoom)
-                const newSize = new THREE.Box3().setFromObject(this.satellite).getSize(new THREE.Vector3());
-                const maxSize = Math.max(newSize.x, newSize.y, newSize.z);
-                this.camera.position.set(0, 0, -maxSize * 0.8);
-                this.controls.update();
-                
-                // Hide loading indicator after model is fully loaded
-                this.updateLoadingProgress(100);
-                setTimeout(() => {
-                    this.hideLoadingIndicator();
-                }, 300);
-                
-                console.log('Model loaded successfully from path:', modelPath);
-            },
-            (progress) => {
-                // Loading progress
-                if (progress.lengthComputable) {
-                    const percentComplete = (progress.loaded / progress.total) * 100;
-                    this.updateLoadingProgress(percentComplete);
-                    console.log('Loading progress:', percentComplete.toFixed(2) + '%');
-                } else {
-                    console.log('Loading...', progress.loaded, 'bytes');
-                }
-            },
-            (error) => {
-                console.error('Error loading GLTF model:', error);
-                this.hideLoadingIndicator();
-                alert('Failed to load 3D model. Please check the console for details.');
+        const ratio = this.scaleModelToUnit();
+        if (ratio === 1) return;
+        
+        this.satellite.updateMatrixWorld(true);
+        this.sectionPlanes.rescale(ratio);
+        this.refreshTransformFields(this.satellite);
+        this.adaptViewToModel();
+        this.resetView();
+    }
+    
+    // Camera clipping range, zoom limits, star field, point light and measurement markers are set up
+    // for a model of REFERENCE_RADIUS; scale them all to the displayed model
+    adaptViewToModel() {
+        if (!this.satellite) return;
+        
+        const box = new THREE.Box3().setFromObject(this.satellite);
+        if (box.isEmpty()) return;
+        const radius = box.getBoundingSphere(new THREE.Sphere()).radius;
+        const scale = Math.max(radius, 1e-6) / REFERENCE_RADIUS;
+        const ratio = scale / this.sceneScale;
+        this.sceneScale = scale;
+        
+        this.camera.near = 0.1 * scale;
+        this.camera.far = 1000 * scale;
+        this.camera.updateProjectionMatrix();
+        this.controls.minDistance = 0.5 * scale;
+        this.controls.maxDistance = 50 * scale;
+        
+        if (this.starField) {
+            this.starField.scale.setScalar(scale);
+            this.updateStarFieldIntensity();
+        }
+        
+        // Directional lights only set a direction; the point light has a position and a range
+        if (this.pointLight) {
+            this.pointLight.position.multiplyScalar(ratio);
+            this.pointLight.distance *= ratio;
+            if (this.initialLightPositions.point) this.initialLightPositions.point.multiplyScalar(ratio);
+        }
+        
+        this.measurements.markerScale = scale;
+        
+        // Adjust camera position based on model size (closer zoom)
+        const size = box.getSize(new THREE.Vector3());
+        const maxSize = Math.max(size.x, size.y, size.z);
+        this.setHomeView(new THREE.Vector3(0, 0, -maxSize * 0.8));
+    }
+    
+    setupModelUnitControl() {
+        const select = document.getElementById('model-unit-select');
+        if (!select) return;
+        
+        select.addEventListener('change', () => {
+            const before = this.modelUnit;
+            const after = select.value;
+            this.setModelUnit(after);
+            if (before === after) return;
+            
+            this.history.push({
+                label: `Model units: ${select.options[select.selectedIndex].text}`,
+                undo: () => this.setModelUnit(before),
+                redo: () => this.setModelUnit(after)
+            });
+        });
+        this.updateModelUnitControl();
+    }
+    
+    updateModelUnitControl() {
+        const select = document.getElementById('model-unit-select');
+        const detected = document.getElementById('model-unit-detected');
+        if (select) select.value = this.modelUnit;
+        if (detected) {
+            // Auto and Fit use a guessed unit (Fit only for measurements); say so, so it gets checked
+            const guessed = !!this.satellite && !MODEL_UNITS[this.modelUnit];
+            const unitLabel = guessed ? MODEL_UNITS[this.getModelUnit()].label : '';
+            if (!guessed) {
+                detected.textContent = '';
+            } else if (this.modelUnit === FIT_TO_VIEW) {
+                detected.textContent = `(measured in ${unitLabel.toLowerCase()}, guessed)`;
+            } else {
+                detected.textContent = `(${unitLabel}, guessed)`;
             }
-        );
+            detected.title = guessed ? 'Guessed from the model\'s size; choose the unit if the model looks too large or too small' : '';
+        }
     }
 
     processGLTFTextures(gltf) {
@@ -791,13 +1113,37 @@ class SatelliteViewer {
             this.onMouseDoubleClick(event);
         });
         
-        // Also handle single click for compatibility
+        // Single click selects a part, shift-click adds or removes it from the selection
         this.renderer.domElement.addEventListener('click', (event) => {
-            // Only handle if it's not a double-click (delay check)
-            clearTimeout(this.clickTimeout);
-            this.clickTimeout = setTimeout(() => {
-                // This is a single click, not a double-click
-            }, 300);
+            this.onMouseClick(event);
+        });
+        
+        this.renderer.domElement.addEventListener('pointerdown', (event) => {
+            this.pointerDownPosition = { x: event.clientX, y: event.clientY };
+            // Presses on the gizmo shouldn't change the selection
+            this.pointerDownOnGizmo = [this.transformControls, this.sectionControls].some(
+                controls => controls.object !== undefined && controls.axis !== null
+            );
+            
+            // Grabbing the view during a tour pauses it so the user can look around
+            if (this.tourPlayer.isPlaying) {
+                this.tourPlayer.pause();
+            }
+        });
+        
+        // Hover highlight
+        this.renderer.domElement.addEventListener('pointermove', (event) => {
+            // No hover picking while orbiting or panning
+            if (event.buttons !== 0 || this.hoverFramePending) return;
+            this.hoverFramePending = true;
+            requestAnimationFrame(() => {
+                this.hoverFramePending = false;
+                this.onMouseHover(event);
+            });
+        });
+        this.renderer.domElement.addEventListener('pointerleave', () => {
+            this.selection.setHovered(null);
+            this.renderer.domElement.style.cursor = '';
         });
         
         // Close indicator button
@@ -819,13 +1165,54 @@ class SatelliteViewer {
             modelFileInput.click();
         });
         
+        // A model can be picked together with its .bin and texture files, or as a .zip
         modelFileInput.addEventListener('change', (event) => {
-            const file = event.target.files[0];
-            if (file) {
-                this.loadModelFromFile(file);
+            const files = Array.from(event.target.files);
+            if (files.length > 0) {
+                this.loadModelFromFiles(files);
             }
+            event.target.value = '';
         });
         
+        // Load model folder button
+        const loadModelFolderButton = document.getElementById('load-model-folder-button');
+        const modelFolderInput = document.getElementById('model-folder-input');
+        
+        if (loadModelFolderButton && modelFolderInput) {
+            loadModelFolderButton.addEventListener('click', () => {
+                modelFolderInput.click();
+            });
+            
+            modelFolderInput.addEventListener('change', (event) => {
+                const files = Array.from(event.target.files);
+                if (files.length > 0) {
+                    this.loadModelFromFiles(files);
+                }
+                event.target.value = '';
+            });
+        }
+        
+        // Models, environment maps and settings files dropped on the viewer
+        this.setupDropTarget();
+        
+        // Load part catalog button
+        const loadCatalogButton = document.getElementById('load-catalog-button');
+        const catalogFileInput = document.getElementById('catalog-file-input');
+        
+        if (loadCatalogButton && catalogFileInput) {
+            loadCatalogButton.addEventListener('click', () => {
+                catalogFileInput.click();
+            });
+            
+            catalogFileInput.addEventListener('change', (event) => {
+                const file = event.target.files[0];
+                if (file) {
+                    this.loadPartCatalogFromFile(file);
+                }
+                event.target.value = '';
+            });
+        }
+        
         
         // Replace model dropdown
         const replaceModelButton = document.getElementById('replace-model-button');
@@ -866,9 +1253,8 @@ class SatelliteViewer {
             console.error('Right panel not found!');
         }
         
-        // Preset buttons
+        // Preset buttons (generated from the part catalog)
         const presetButtons = document.getElementById('preset-buttons');
-        const presetButtonElements = document.querySelectorAll('.preset-button');
         
         // Hide panel on initial load (collapsed by default)
         if (rightPanel) {
@@ -901,7 +1287,9 @@ class SatelliteViewer {
                 if (presetButtons) presetButtons.classList.add('hidden');
                 // Reset preset when opening panel
                 this.resetPartPreset();
-                presetButtonElements.forEach(btn => btn.classList.remove('active'));
+                if (presetButtons) {
+                    presetButtons.querySelectorAll('.preset-button').forEach(btn => btn.classList.remove('active'));
+                }
             }
         };
         
@@ -920,22 +1308,24 @@ class SatelliteViewer {
         
         rightPanelToggle.addEventListener('click', toggleRightPanel);
         
-        // Handle preset button clicks
-        presetButtonElements.forEach(button => {
-            button.addEventListener('click', (e) => {
-                const partName = button.getAttribute('data-part');
+        // Handle preset button clicks (buttons are rebuilt per model, so delegate from the container)
+        if (presetButtons) {
+            presetButtons.addEventListener('click', (e) => {
+                const button = e.target.closest('.preset-button');
+                if (!button || button.disabled) return;
+                const presetId = button.getAttribute('data-part');
                 
                 // Toggle: if already active, reset; otherwise show preset
-                if (button.classList.contains('active') && this.currentPreset === partName) {
+                if (button.classList.contains('active') && this.currentPreset === presetId) {
                     this.resetPartPreset();
                     button.classList.remove('active');
                 } else {
-                    this.showPartPreset(partName);
-                    presetButtonElements.forEach(btn => btn.classList.remove('active'));
+                    this.showPartPreset(presetId);
+                    presetButtons.querySelectorAll('.preset-button').forEach(btn => btn.classList.remove('active'));
                     button.classList.add('active');
                 }
             });
-        });
+        }
         
         // Keyboard shortcut: 'P' key to toggle panel
         document.addEventListener('keydown', (e) => {
@@ -946,6 +1336,58 @@ class SatelliteViewer {
             }
         });
         
+        // Undo / redo: Ctrl+Z, Ctrl+Shift+Z (or Ctrl+Y); text fields keep their own undo,
+        // but sliders, pickers and checkboxes that still have focus after an edit don't
+        document.addEventListener('keydown', (e) => {
+            const textTypes = ['text', 'number', 'search'];
+            if (e.target.tagName === 'TEXTAREA' || (e.target.tagName === 'INPUT' && textTypes.includes(e.target.type))) return;
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.history.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.history.redo();
+            }
+        });
+        
+        // Keyboard shortcuts: 'A' frames the whole model, 'F' focuses the selected part, Escape clears the selection
+        document.addEventListener('keydown', (e) => {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            
+            const key = e.key.toLowerCase();
+            if (key === 'escape') {
+                // Escape first drops the points of an unfinished measurement or pin placement
+                if (this.measurements.pending.length > 0) {
+                    this.measurements.cancelPending();
+                } else if (this.isPlacingHotspot) {
+                    this.setHotspotPlacement(false);
+                } else {
+                    this.selection.clear();
+                }
+            } else if (key === 'a') {
+                e.preventDefault();
+                this.frameAll();
+            } else if (key === 'f') {
+                e.preventDefault();
+                this.focusSelected();
+            } else if (key === 'w' || key === 'e' || key === 'r') {
+                // Gizmo modes, as in most 3D editors
+                e.preventDefault();
+                const mode = { w: 'translate', e: 'rotate', r: 'scale' }[key];
+                this.setTransformMode(this.transformMode === mode ? 'none' : mode);
+            } else if (key === 'q') {
+                e.preventDefault();
+                this.toggleTransformSpace();
+            } else if (key === 'x') {
+                e.preventDefault();
+                this.toggleExplode();
+            }
+        });
+        
         // Load panel toggle (header and button)
         const loadPanel = document.getElementById('load-panel');
         const loadPanelHeader = loadPanel.querySelector('.panel-header');
@@ -988,43 +1430,254 @@ class SatelliteViewer {
             outlinerPanel.classList.toggle('collapsed');
         });
         
-        // Settings panel removed - no longer needed
+        // Annotations panel toggle (header and button)
+        const annotationsPanel = document.getElementById('annotations-panel');
+        const annotationsToggle = document.getElementById('annotations-toggle');
+        if (annotationsPanel && annotationsToggle) {
+            const annotationsPanelHeader = annotationsPanel.querySelector('.panel-header');
+            annotationsPanelHeader.addEventListener('click', (e) => {
+                if (e.target !== annotationsToggle) {
+                    annotationsPanel.classList.toggle('collapsed');
+                }
+            });
+            annotationsToggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                annotationsPanel.classList.toggle('collapsed');
+            });
+        }
         
-        // Setup lighting controls
-        this.setupLightingControls();
+        // Transform panel toggle (header and button)
+        const transformPanel = document.getElementById('transform-panel');
+        const transformToggle = document.getElementById('transform-toggle');
+        if (transformPanel && transformToggle) {
+            const transformPanelHeader = transformPanel.querySelector('.panel-header');
+            transformPanelHeader.addEventListener('click', (e) => {
+                if (e.target !== transformToggle) {
+                    transformPanel.classList.toggle('collapsed');
+                }
+            });
+            transformToggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                transformPanel.classList.toggle('collapsed');
+            });
+        }
         
-        // Settings are now loaded from files, not localStorage
-    }
-    
-    saveSettings() {
-        const settings = {
-            // Background settings
-            backgroundType: document.getElementById('background-type').value,
-            backgroundColor: document.getElementById('background-color').value,
-            backgroundIntensity: document.getElementById('background-intensity').value,
-            
-            // Ambient light
-            ambientIntensity: document.getElementById('ambient-intensity').value,
-            ambientColor: document.getElementById('ambient-color').value,
-            
-            // Directional light
-            directionalIntensity: document.getElementById('directional-intensity').value,
-            directionalColor: document.getElementById('directional-color').value,
-            directionalX: document.getElementById('directional-x').value,
-            directionalY: document.getElementById('directional-y').value,
-            directionalZ: document.getElementById('directional-z').value,
-            
-            // Fill light
-            fillIntensity: document.getElementById('fill-intensity').value,
-            fillColor: document.getElementById('fill-color').value,
-            
-            // Point light
-            pointIntensity: document.getElementById('point-intensity').value,
+        // Section planes panel toggle (header and button)
+        const sectionPanel = document.getElementById('section-panel');
+        const sectionToggle = document.getElementById('section-toggle');
+        if (sectionPanel && sectionToggle) {
+            const sectionPanelHeader = sectionPanel.querySelector('.panel-header');
+            sectionPanelHeader.addEventListener('click', (e) => {
+                if (e.target !== sectionToggle) {
+                    sectionPanel.classList.toggle('collapsed');
+                }
+            });
+            sectionToggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                sectionPanel.classList.toggle('collapsed');
+            });
+        }
+        
+        // Measure panel toggle (header and button)
+        const measurePanel = document.getElementById('measure-panel');
+        const measureToggle = document.getElementById('measure-toggle');
+        if (measurePanel && measureToggle) {
+            const measurePanelHeader = measurePanel.querySelector('.panel-header');
+            measurePanelHeader.addEventListener('click', (e) => {
+                if (e.target !== measureToggle) {
+                    measurePanel.classList.toggle('collapsed');
+                }
+            });
+            measureToggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                measurePanel.classList.toggle('collapsed');
+            });
+        }
+        
+        // Hotspots panel toggle (header and button)
+        const hotspotPanel = document.getElementById('hotspot-panel');
+        const hotspotToggle = document.getElementById('hotspot-toggle');
+        if (hotspotPanel && hotspotToggle) {
+            const hotspotPanelHeader = hotspotPanel.querySelector('.panel-header');
+            hotspotPanelHeader.addEventListener('click', (e) => {
+                if (e.target !== hotspotToggle) {
+                    hotspotPanel.classList.toggle('collapsed');
+                }
+            });
+            hotspotToggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                hotspotPanel.classList.toggle('collapsed');
+            });
+        }
+        
+        // Sessions panel toggle (header and button)
+        const sessionPanel = document.getElementById('session-panel');
+        const sessionToggle = document.getElementById('session-toggle');
+        if (sessionPanel && sessionToggle) {
+            const sessionPanelHeader = sessionPanel.querySelector('.panel-header');
+            sessionPanelHeader.addEventListener('click', (e) => {
+                if (e.target !== sessionToggle) {
+                    sessionPanel.classList.toggle('collapsed');
+                }
+            });
+            sessionToggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                sessionPanel.classList.toggle('collapsed');
+            });
+        }
+        
+        // History panel toggle (header and button)
+        const historyPanel = document.getElementById('history-panel');
+        const historyToggle = document.getElementById('history-toggle');
+        if (historyPanel && historyToggle) {
+            const historyPanelHeader = historyPanel.querySelector('.panel-header');
+            historyPanelHeader.addEventListener('click', (e) => {
+                if (e.target !== historyToggle) {
+                    historyPanel.classList.toggle('collapsed');
+                }
+            });
+            historyToggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                historyPanel.classList.toggle('collapsed');
+            });
+        }
+        
+        // Guided tour panel toggle (header and button)
+        const tourPanel = document.getElementById('tour-panel');
+        const tourPanelToggle = document.getElementById('tour-panel-toggle');
+        if (tourPanel && tourPanelToggle) {
+            const tourPanelHeader = tourPanel.querySelector('.panel-header');
+            tourPanelHeader.addEventListener('click', (e) => {
+                if (e.target !== tourPanelToggle) {
+                    tourPanel.classList.toggle('collapsed');
+                }
+            });
+            tourPanelToggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                tourPanel.classList.toggle('collapsed');
+            });
+        }
+        
+        // View buttons
+        const resetViewButton = document.getElementById('reset-view-button');
+        const frameAllButton = document.getElementById('frame-all-button');
+        const focusSelectedButton = document.getElementById('focus-selected-button');
+        if (resetViewButton) {
+            resetViewButton.addEventListener('click', () => this.resetView());
+        }
+        if (frameAllButton) {
+            frameAllButton.addEventListener('click', () => this.frameAll());
+        }
+        if (focusSelectedButton) {
+            focusSelectedButton.addEventListener('click', () => this.focusSelected());
+        }
+        
+        // Share link button
+        const copyLinkButton = document.getElementById('copy-link-button');
+        if (copyLinkButton) {
+            copyLinkButton.addEventListener('click', () => this.copyViewLink());
+        }
+        
+        // Settings file buttons (only present on pages with the Settings section)
+        const saveSettingsButton = document.getElementById('save-settings-button');
+        const loadSettingsButton = document.getElementById('load-settings-button');
+        const resetSettingsButton = document.getElementById('reset-settings-button');
+        const settingsFileInput = document.getElementById('settings-file-input');
+        
+        if (saveSettingsButton) {
+            saveSettingsButton.addEventListener('click', () => this.saveSettings());
+        }
+        if (loadSettingsButton && settingsFileInput) {
+            loadSettingsButton.addEventListener('click', () => {
+                settingsFileInput.click();
+            });
+            settingsFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.loadSettingsFromFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+        if (resetSettingsButton) {
+            resetSettingsButton.addEventListener('click', () => this.resetSettings());
+        }
+        
+        // Setup lighting controls
+        this.setupLightingControls();
+        
+        // Setup annotation editor
+        this.setupAnnotationEditor();
+        
+        // Setup guided tour controls
+        this.setupTourControls();
+        
+        // Setup outliner search, scrolling and row clicks
+        this.setupOutlinerControls();
+        
+        // Setup transform mode, space and snapping controls
+        this.setupTransformPanel();
+        
+        // Setup undo history list
+        this.setupHistoryPanel();
+        
+        // Setup model unit selector
+        this.setupModelUnitControl();
+        
+        // Setup exploded view slider
+        this.setupExplodeControls();
+        
+        // Setup section plane list
+        this.setupSectionPanel();
+        
+        // Setup measurement tools
+        this.setupMeasurePanel();
+        
+        // Setup hotspot pin list
+        this.setupHotspotPanel();
+        
+        // Setup saved sessions and autosave
+        this.setupSessionPanel();
+        
+        // Settings are now loaded from files, not localStorage
+    }
+    
+    // Everything "Save Settings to File" and sessions store, in the format of settingsSchema.js
+    collectSettings() {
+        return {
+            // Format version, see settingsSchema.js
+            version: SETTINGS_VERSION,
+            
+            // Background settings
+            backgroundType: document.getElementById('background-type').value,
+            backgroundColor: document.getElementById('background-color').value,
+            backgroundIntensity: Number(document.getElementById('background-intensity').value),
+            
+            // Ambient light
+            ambientIntensity: Number(document.getElementById('ambient-intensity').value),
+            ambientColor: document.getElementById('ambient-color').value,
+            
+            // Directional light
+            directionalIntensity: Number(document.getElementById('directional-intensity').value),
+            directionalColor: document.getElementById('directional-color').value,
+            directionalX: Number(document.getElementById('directional-x').value),
+            directionalY: Number(document.getElementById('directional-y').value),
+            directionalZ: Number(document.getElementById('directional-z').value),
+            
+            // Fill light
+            fillIntensity: Number(document.getElementById('fill-intensity').value),
+            fillColor: document.getElementById('fill-color').value,
+            
+            // Point light
+            pointIntensity: Number(document.getElementById('point-intensity').value),
             pointColor: document.getElementById('point-color').value,
             
             // Environment
             environmentType: document.getElementById('environment-type').value,
-            envIntensity: document.getElementById('env-intensity').value,
+            envIntensity: Number(document.getElementById('env-intensity').value),
+            
+            // Unit the model file is in ('auto' guesses it from the model's size)
+            modelUnit: this.modelUnit,
             
             // Scene and object attributes
             sceneData: this.serializeSceneData(),
@@ -1035,6 +1688,10 @@ class SatelliteViewer {
             outlinerPanelCollapsed: document.getElementById('outliner-panel').classList.contains('collapsed'),
             rightPanelCollapsed: document.getElementById('right-panel').classList.contains('collapsed')
         };
+    }
+    
+    saveSettings() {
+        const settings = this.collectSettings();
         
         try {
             // Create JSON string with pretty formatting
@@ -1068,175 +1725,28 @@ class SatelliteViewer {
         }
     }
     
-    loadSettingsFromFile(file) {
-        const reader = new FileReader();
-        
-        reader.onload = (e) => {
-            try {
-                const settings = JSON.parse(e.target.result);
-                this.applySettings(settings);
-                alert('Settings loaded successfully!');
-                console.log('Settings loaded from file:', settings);
-            } catch (error) {
-                console.error('Error loading settings:', error);
-                alert('Failed to load settings file. Please check that it is a valid JSON file.');
-            }
-        };
-        
-        reader.onerror = () => {
-            console.error('Error reading file');
-            alert('Failed to read settings file.');
-        };
-        
-        reader.readAsText(file);
-    }
-    
-    applySettings(settings) {
-        if (!settings) {
-            console.log('No settings to apply');
-            return;
-        }
-        
-        console.log('Applying settings:', settings);
-        
-        // Background settings
-        if (settings.backgroundType) {
-            document.getElementById('background-type').value = settings.backgroundType;
-            document.getElementById('background-type').dispatchEvent(new Event('change'));
-        }
-        if (settings.backgroundColor) {
-            document.getElementById('background-color').value = settings.backgroundColor;
-            document.getElementById('background-color').dispatchEvent(new Event('input'));
-        }
-        if (settings.backgroundIntensity !== undefined) {
-            document.getElementById('background-intensity').value = settings.backgroundIntensity;
-            document.getElementById('background-intensity').dispatchEvent(new Event('input'));
-        }
-        
-        // Ambient light
-        if (settings.ambientIntensity !== undefined) {
-            document.getElementById('ambient-intensity').value = settings.ambientIntensity;
-            document.getElementById('ambient-intensity').dispatchEvent(new Event('input'));
-        }
-        if (settings.ambientColor) {
-            document.getElementById('ambient-color').value = settings.ambientColor;
-            document.getElementById('ambient-color').dispatchEvent(new Event('input'));
-        }
-        
-        // Directional light
-        if (settings.directionalIntensity !== undefined) {
-            document.getElementById('directional-intensity').value = settings.directionalIntensity;
-            document.getElementById('directional-intensity').dispatchEvent(new Event('input'));
-        }
-        if (settings.directionalColor) {
-            document.getElementById('directional-color').value = settings.directionalColor;
-            document.getElementById('directional-color').dispatchEvent(new Event('input'));
-        }
-        if (settings.directionalX !== undefined) {
-            document.getElementById('directional-x').value = settings.directionalX;
-            document.getElementById('directional-x').dispatchEvent(new Event('input'));
-        }
-        if (settings.directionalY !== undefined) {
-            document.getElementById('directional-y').value = settings.directionalY;
-            document.getElementById('directional-y').dispatchEvent(new Event('input'));
-        }
-        if (settings.directionalZ !== undefined) {
-            document.getElementById('directional-z').value = settings.directionalZ;
-            document.getElementById('directional-z').dispatchEvent(new Event('input'));
-        }
-        
-        // Fill light
-        if (settings.fillIntensity !== undefined) {
-            document.getElementById('fill-intensity').value = settings.fillIntensity;
-            document.getElementById('fill-intensity').dispatchEvent(new Event('input'));
-        }
-        if (settings.fillColor) {
-            document.getElementById('fill-color').value = settings.fillColor;
-            document.getElementById('fill-color').dispatchEvent(new Event('input'));
-        }
-        
-        // Point light
-        if (settings.pointIntensity !== undefined) {
-            document.getElementById('point-intensity').value = settings.pointIntensity;
-            document.getElementById('point-intensity').dispatchEvent(new Event('input'));
-        }
-        if (settings.pointColor) {
-            document.getElementById('point-color').value = settings.pointColor;
-            document.getElementById('point-color').dispatchEvent(new Event('input'));
-        }
-        
-        // Environment
-        if (settings.environmentType) {
-            document.getElementById('environment-type').value = settings.environmentType;
-            document.getElementById('environment-type').dispatchEvent(new Event('change'));
-        } else {
-            document.getElementById('environment-type').value = 'hdri';
-            document.getElementById('environment-type').dispatchEvent(new Event('change'));
-        }
-        if (settings.envIntensity !== undefined) {
-            document.getElementById('env-intensity').value = settings.envIntensity;
-            document.getElementById('env-intensity').dispatchEvent(new Event('input'));
-        }
-        
-        // Load scene and object data
-        if (settings.sceneData) {
-            // Delay loading scene data to ensure model is loaded
-            setTimeout(() => {
-                this.deserializeSceneData(settings.sceneData);
-            }, 500);
-        }
-        
-        // Panel states
-        if (settings.loadPanelCollapsed !== undefined) {
-            if (settings.loadPanelCollapsed) {
-                document.getElementById('load-panel').classList.add('collapsed');
-            } else {
-                document.getElementById('load-panel').classList.remove('collapsed');
-            }
-        }
-        if (settings.lightingPanelCollapsed !== undefined) {
-            if (settings.lightingPanelCollapsed) {
-                document.getElementById('lighting-panel').classList.add('collapsed');
-            } else {
-                document.getElementById('lighting-panel').classList.remove('collapsed');
-            }
-        }
-        if (settings.outlinerPanelCollapsed !== undefined) {
-            if (settings.outlinerPanelCollapsed) {
-                document.getElementById('outliner-panel').classList.add('collapsed');
-            } else {
-                document.getElementById('outliner-panel').classList.remove('collapsed');
-            }
-        }
-        // Settings panel removed - no longer needed
-        if (settings.rightPanelCollapsed !== undefined) {
-            const rightPanel = document.getElementById('right-panel');
-            const rightPanelToggle = document.getElementById('right-panel-toggle');
-            if (settings.rightPanelCollapsed) {
-                rightPanel.classList.add('collapsed');
-                rightPanelToggle.textContent = '◄';
-                rightPanelToggle.classList.add('panel-collapsed');
-            } else {
-                rightPanel.classList.remove('collapsed');
-                rightPanelToggle.textContent = '►';
-                rightPanelToggle.classList.remove('panel-collapsed');
-            }
-        }
-        
-        console.log('Settings applied successfully');
-    }
-    
     serializeSceneData() {
         if (!this.satellite) return null;
         
+        // Positions are saved with the model assembled; the explode amount is stored on its own
+        const sceneData = this.explodedView.withAmount(0, () => this.serializeModelData());
+        sceneData.explode = this.explodedView.targetAmount;
+        return sceneData;
+    }
+    
+    serializeModelData() {
         const sceneData = {
             objects: [],
-            partData: {}
+            partData: []
         };
         
+        // uuids change every time the model is loaded, so entries also carry a stable node reference
+        const nodeIndex = new NodeIndex(this.satellite);
+        
         // Serialize part data
         this.partData.forEach((partInfo, uuid) => {
-            sceneData.partData[uuid] = partInfo;
+            const node = nodeIndex.byUuid.get(uuid);
+            if (node) sceneData.partData.push({ ...nodeIndex.describe(node), partInfo, edited: !!node.userData.editedPartInfo });
         });
         
         // Serialize object and material data
@@ -1245,8 +1755,7 @@ class SatelliteViewer {
                 const materials = Array.isArray(child.material) ? child.material : [child.material];
                 
                 const objectData = {
-                    uuid: child.uuid,
-                    name: child.name,
+                    ...nodeIndex.describe(child),
                     position: {
                         x: child.position.x,
                         y: child.position.y,
@@ -1263,6 +1772,7 @@ class SatelliteViewer {
                         z: child.scale.z
                     },
                     visible: child.visible,
+                    locked: child.userData.locked === true,
                     materials: []
                 };
                 
@@ -1327,6 +1837,37 @@ class SatelliteViewer {
             }
         });
         
+        // Transform, visibility and lock state of groups, which have no material data above
+        sceneData.nodes = [];
+        this.satellite.traverse((child) => {
+            if (!child.isMesh) {
+                sceneData.nodes.push({
+                    ...nodeIndex.describe(child),
+                    position: { x: child.position.x, y: child.position.y, z: child.position.z },
+                    rotation: { x: child.rotation.x, y: child.rotation.y, z: child.rotation.z },
+                    scale: { x: child.scale.x, y: child.scale.y, z: child.scale.z },
+                    visible: child.visible,
+                    locked: child.userData.locked === true
+                });
+            }
+        });
+        
+        // Isolation, with the visibility to restore when it is exited
+        if (this.isolation) {
+            const previousVisibility = [];
+            this.isolation.previousVisibility.forEach((visible, node) => {
+                previousVisibility.push({ ...nodeIndex.describe(node), visible });
+            });
+            sceneData.isolation = { node: nodeIndex.describe(this.isolation.object), previousVisibility };
+        }
+        
+        sceneData.sections = this.sectionPlanes.getState();
+        // The pin keeps its own `id`; the mesh it sits on is a nested node reference
+        sceneData.hotspots = this.hotspots.getState().map(({ uuid, ...pin }) => {
+            const node = nodeIndex.byUuid.get(uuid);
+            return { ...pin, node: node ? nodeIndex.describe(node) : { uuid } };
+        });
+        
         return sceneData;
     }
     
@@ -1341,13 +1882,11 @@ class SatelliteViewer {
         
         reader.onload = (e) => {
             try {
-                const settings = JSON.parse(e.target.result);
-                this.applySettings(settings);
-                alert('Settings loaded successfully!');
+                const settings = this.applySettingsData(JSON.parse(e.target.result));
                 console.log('Settings loaded from file:', settings);
             } catch (error) {
                 console.error('Error loading settings:', error);
-                alert('Failed to load settings file. Please check that it is a valid JSON file.');
+                alert(`Failed to load settings file: ${error.message}`);
             }
         };
         
@@ -1359,6 +1898,28 @@ class SatelliteViewer {
         reader.readAsText(file);
     }
     
+    // Apply saved settings (from a file or a session): older formats are migrated first, and
+    // invalid fields are skipped and reported
+    applySettingsData(data, successMessage = 'Settings loaded successfully!') {
+        const { settings, errors } = readSettings(data);
+        this.applySettings(settings);
+        
+        if (errors.length > 0) {
+            console.warn('Invalid settings fields were skipped:', errors);
+            alert(`Settings loaded, but these fields were invalid and skipped:\n\n${this.formatReport(errors)}`);
+        } else {
+            alert(successMessage);
+        }
+        return settings;
+    }
+    
+    // Bulleted list for alerts, shortened for long reports
+    formatReport(entries, limit = 10) {
+        const shown = entries.slice(0, limit).map(entry => `• ${entry}`);
+        if (entries.length > shown.length) shown.push(`…and ${entries.length - shown.length} more (see the console)`);
+        return shown.join('\n');
+    }
+    
     applySettings(settings) {
         if (!settings) {
             console.log('No settings to apply');
@@ -1446,11 +2007,19 @@ class SatelliteViewer {
                 document.getElementById('env-intensity').dispatchEvent(new Event('input'));
             }
             
+            // Model units first: saved transforms are at that unit's scale
+            if (settings.modelUnit) {
+                this.setModelUnit(settings.modelUnit);
+            }
+            
             // Load scene and object data
             if (settings.sceneData) {
                 // Delay loading scene data to ensure model is loaded
                 setTimeout(() => {
-                    this.deserializeSceneData(settings.sceneData);
+                    const unmatched = this.deserializeSceneData(settings.sceneData);
+                    if (unmatched.length > 0) {
+                        alert(`Some saved settings don't match any part of this model and were skipped:\n\n${this.formatReport(unmatched)}`);
+                    }
                 }, 500);
             }
             
@@ -1494,31 +2063,84 @@ class SatelliteViewer {
             console.log('Settings applied successfully');
     }
     
+    // Returns the saved entries that match nothing in the current model, as short descriptions
     deserializeSceneData(sceneData) {
         if (!sceneData || !this.satellite) {
             console.log('No scene data to load or model not loaded');
-            return;
+            return [];
         }
         
-        // Restore part data
-        if (sceneData.partData) {
-            Object.keys(sceneData.partData).forEach(uuid => {
-                this.partData.set(uuid, sceneData.partData[uuid]);
+        // Saved positions are assembled, so collapse before restoring them
+        this.explodedView.setAmount(0);
+        
+        // Saved entries are matched by uuid, node path or name (see nodeIds.js)
+        const nodeIndex = new NodeIndex(this.satellite);
+        const unmatched = [];
+        const resolve = (ref, kind, meshOnly = false) => {
+            const node = nodeIndex.resolve(ref);
+            if (node && (!meshOnly || node.isMesh)) return node;
+            unmatched.push(`${kind} ${NodeIndex.label(ref)}`);
+            return null;
+        };
+        
+        // Restore group transforms, visibility and lock state
+        if (Array.isArray(sceneData.nodes)) {
+            sceneData.nodes.forEach(nodeData => {
+                const node = resolve(nodeData, 'Group');
+                if (!node) return;
+                if (nodeData.position) node.position.set(nodeData.position.x, nodeData.position.y, nodeData.position.z);
+                if (nodeData.rotation) node.rotation.set(nodeData.rotation.x, nodeData.rotation.y, nodeData.rotation.z);
+                if (nodeData.scale) node.scale.set(nodeData.scale.x, nodeData.scale.y, nodeData.scale.z);
+                if (nodeData.visible !== undefined) node.visible = nodeData.visible;
+                this.setNodeLocked(node, nodeData.locked === true);
             });
         }
         
-        // Create a map of UUIDs to objects for quick lookup
-        const objectMap = new Map();
-        this.satellite.traverse((child) => {
-            if (child.isMesh) {
-                objectMap.set(child.uuid, child);
-            }
-        });
+        // Restore isolation
+        this.isolation = null;
+        const isolated = sceneData.isolation ? resolve(sceneData.isolation.node, 'Isolated part') : null;
+        if (isolated) {
+            const previousVisibility = new Map();
+            (sceneData.isolation.previousVisibility || []).forEach(entry => {
+                const node = resolve(entry, 'Visibility before isolating');
+                if (node) previousVisibility.set(node, entry.visible !== false);
+            });
+            this.isolation = { object: isolated, previousVisibility };
+        }
+        
+        // Restore section planes and hotspot pins
+        if (Array.isArray(sceneData.sections)) {
+            this.sectionPlanes.setState(sceneData.sections);
+        }
+        if (Array.isArray(sceneData.hotspots)) {
+            // Pins refer to their mesh by uuid, so point them at this session's objects
+            const pins = sceneData.hotspots.map(({ node: ref, ...pin }) => {
+                const node = resolve(ref, 'Hotspot on');
+                return node ? { ...pin, uuid: node.uuid } : null;
+            });
+            this.hotspots.setState(pins.filter(Boolean));
+        }
+        
+        // Restore part data (including edited annotations) onto the meshes the popup reads from
+        if (Array.isArray(sceneData.partData)) {
+            sceneData.partData.forEach(entry => {
+                const obj = resolve(entry, 'Part info for');
+                if (!obj) return;
+                // Edits stay ahead of a catalog that finishes loading later; files without the flag
+                // can't tell edits apart, so all of their entries count as edits
+                if (entry.edited !== false) {
+                    this.setAnnotation(obj, entry.partInfo);
+                } else {
+                    this.partData.set(obj.uuid, entry.partInfo);
+                    obj.userData.partInfo = entry.partInfo;
+                }
+            });
+        }
         
         // Restore object and material properties
         if (sceneData.objects) {
             sceneData.objects.forEach(objectData => {
-                const obj = objectMap.get(objectData.uuid);
+                const obj = resolve(objectData, 'Part', true);
                 if (!obj || !obj.material) return;
                 
                 // Restore object properties
@@ -1534,8 +2156,12 @@ class SatelliteViewer {
                 if (objectData.visible !== undefined) {
                     obj.visible = objectData.visible;
                 }
+                if (objectData.locked !== undefined) {
+                    this.setNodeLocked(obj, objectData.locked);
+                }
                 
                 // Restore material properties
+                if (!Array.isArray(objectData.materials)) return;
                 const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
                 
                 objectData.materials.forEach(materialData => {
@@ -1598,6 +2224,15 @@ class SatelliteViewer {
                 console.log('Scene data loaded successfully');
             }, 500);
         }
+        
+        if (sceneData.explode) {
+            this.explodedView.setAmount(sceneData.explode);
+        }
+        
+        if (unmatched.length > 0) {
+            console.warn('Saved scene entries not found in this model:', unmatched);
+        }
+        return unmatched;
     }
     
     loadTextureFromUrl(material, mapName, url) {
@@ -1649,10 +2284,13 @@ class SatelliteViewer {
     }
     
     resetSettings() {
-        if (confirm('Are you sure you want to reset all settings to default values? This cannot be undone.')) {
+        if (confirm('Are you sure you want to reset all settings to default values? Lighting changes can be undone with Ctrl+Z.')) {
             try {
                 localStorage.removeItem('satelliteViewerSettings');
                 
+                const lightingBefore = this.captureLightingValues();
+                const environmentBefore = this.environmentMap;
+                
                 // Reset background
                 document.getElementById('background-type').value = 'stars';
                 document.getElementById('background-type').dispatchEvent(new Event('change'));
@@ -1699,6 +2337,22 @@ class SatelliteViewer {
                 document.getElementById('env-intensity').value = '1.0';
                 document.getElementById('env-intensity').dispatchEvent(new Event('input'));
                 
+                // The whole reset is a single undo step
+                const lightingAfter = this.captureLightingValues();
+                this.retainEnvironmentMap(environmentBefore);
+                this.history.push({
+                    label: 'Reset settings',
+                    undo: () => {
+                        this.applyLightingValues(lightingBefore);
+                        this.setEnvironmentState({ map: environmentBefore, type: lightingBefore.get(document.getElementById('environment-type')) });
+                    },
+                    redo: () => {
+                        this.applyLightingValues(lightingAfter);
+                        this.loadDefaultHDRI();
+                    },
+                    dispose: () => this.releaseEnvironmentMap(environmentBefore)
+                });
+                
                 // Reset panel states
                 document.getElementById('load-panel').classList.remove('collapsed');
                 document.getElementById('lighting-panel').classList.remove('collapsed');
@@ -1710,6 +2364,9 @@ class SatelliteViewer {
                 rightPanelToggle.textContent = '►';
                 rightPanelToggle.classList.remove('panel-collapsed');
                 
+                // Reset camera
+                this.resetView();
+                
                 alert('Settings reset to default values!');
                 console.log('Settings reset to defaults');
             } catch (error) {
@@ -1933,6 +2590,80 @@ class SatelliteViewer {
         
         // Initialize environment intensity with current slider value
         this.setEnvironmentIntensity(parseFloat(envIntensity.value));
+        
+        this.setupLightingHistory();
+    }
+    
+    getLightingControls() {
+        const content = document.getElementById('lighting-content');
+        if (!content) return [];
+        return Array.from(content.querySelectorAll('input, select')).filter(control => control.type !== 'file');
+    }
+    
+    getLightingControlLabel(control) {
+        const wrapper = control.closest('.lighting-control');
+        const section = control.closest('.lighting-section');
+        const labelElement = wrapper ? wrapper.querySelector('label') : null;
+        const label = labelElement ? labelElement.firstChild.textContent.replace(':', '').trim() : control.id;
+        const title = section ? section.querySelector('.lighting-section-title') : null;
+        const sectionName = title ? title.textContent.replace(/\s*\(.*\)$/, '').trim() : '';
+        
+        return !sectionName || label.startsWith(sectionName) ? label : `${sectionName} ${label}`;
+    }
+    
+    captureLightingValues() {
+        const values = new Map();
+        this.getLightingControls().forEach(control => {
+            values.set(control, control.type === 'checkbox' ? control.checked : control.value);
+        });
+        return values;
+    }
+    
+    applyLightingValues(values) {
+        // Synthetic events run the normal control handlers without being recorded again
+        values.forEach((value, control) => {
+            const current = control.type === 'checkbox' ? control.checked : control.value;
+            if (current === value) return;
+            
+            if (control.type === 'checkbox') {
+                control.checked = value;
+            } else {
+                control.value = value;
+            }
+            control.dispatchEvent(new Event('input'));
+            control.dispatchEvent(new Event('change'));
+        });
+    }
+    
+    setupLightingHistory() {
+        // Last settled value of every control. Sliders and colour pickers fire 'input' while they
+        // are dragged and 'change' once released, so each user edit becomes one history entry.
+        // Values set from code (settings load, reset, undo) always dispatch events that are not
+        // trusted: they only refresh the settled value.
+        this.lightingValues = this.captureLightingValues();
+        
+        // Page defaults, so share links only need to carry what was changed
+        this.lightingDefaults = new Map(this.lightingValues);
+        
+        this.getLightingControls().forEach(control => {
+            const read = () => (control.type === 'checkbox' ? control.checked : control.value);
+            
+            control.addEventListener('input', (e) => {
+                if (!e.isTrusted) this.lightingValues.set(control, read());
+            });
+            control.addEventListener('change', (e) => {
+                const before = this.lightingValues.get(control);
+                const after = read();
+                this.lightingValues.set(control, after);
+                if (!e.isTrusted || before === after) return;
+                
+                this.history.push({
+                    label: this.getLightingControlLabel(control),
+                    undo: () => this.applyLightingValues(new Map([[control, before]])),
+                    redo: () => this.applyLightingValues(new Map([[control, after]]))
+                });
+            });
+        });
     }
     
     setEnvironmentIntensity(value) {
@@ -1972,7 +2703,8 @@ class SatelliteViewer {
         loader.load(
             hdriPath,
             (texture) => {
-                if (this.environmentMap) {
+                // Maps referenced by undo history stay alive so they can be switched back to
+                if (this.environmentMap && !(this.environmentMap.userData.historyRefs > 0)) {
                     this.environmentMap.dispose();
                 }
                 const envTexture = this.pmremGenerator.fromEquirectangular(texture).texture;
@@ -1993,36 +2725,76 @@ class SatelliteViewer {
         );
     }
     
-    loadDefaultHDRI() {
-        this.loadHDRIFromPath('3D_WEB_VIEW/assets/hdri/Bevel_Reflection.exr');
+    retainEnvironmentMap(map) {
+        this.retainForHistory(map);
     }
     
-    loadHDRI(file) {
-        const fileName = file.name.toLowerCase();
-        const isEXR = fileName.endsWith('.exr');
-        const loader = isEXR ? new EXRLoader() : new RGBELoader();
-        
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const url = e.target.result;
-            
-            loader.load(
-                url,
+    releaseEnvironmentMap(map) {
+        if (!map) return;
+        this.releaseFromHistory(map, map === this.environmentMap || map === this.scene.environment);
+    }
+    
+    // Textures and environment maps count the history commands referencing them; the last command
+    // to let go frees the GPU copy unless the resource is still shown
+    retainForHistory(resource) {
+        if (!resource) return;
+        resource.userData.historyRefs = (resource.userData.historyRefs || 0) + 1;
+    }
+    
+    releaseFromHistory(resource, inUse) {
+        if (!resource) return;
+        resource.userData.historyRefs = Math.max((resource.userData.historyRefs || 0) - 1, 0);
+        if (resource.userData.historyRefs === 0 && !inUse) {
+            resource.dispose();
+        }
+    }
+    
+    setEnvironmentState({ map, type }) {
+        this.environmentMap = map;
+        const environmentType = document.getElementById('environment-type');
+        if (environmentType && environmentType.value !== type) {
+            environmentType.value = type;
+            environmentType.dispatchEvent(new Event('change'));
+        } else if (type === 'hdri') {
+            this.applyEnvironmentMap(map);
+        }
+    }
+    
+    loadDefaultHDRI() {
+        this.loadHDRIFromPath('3D_WEB_VIEW/assets/hdri/Bevel_Reflection.exr');
+    }
+    
+    loadHDRI(file) {
+        const fileName = file.name.toLowerCase();
+        const isEXR = fileName.endsWith('.exr');
+        const loader = isEXR ? new EXRLoader() : new RGBELoader();
+        
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const url = e.target.result;
+            
+            loader.load(
+                url,
                 (texture) => {
-                    if (this.environmentMap) {
-                        this.environmentMap.dispose();
-                    }
-                    
                     const envTexture = this.pmremGenerator.fromEquirectangular(texture).texture;
                     texture.dispose();
-                    this.environmentMap = envTexture;
                     
                     const environmentType = document.getElementById('environment-type');
-                    if (environmentType) {
-                        environmentType.value = 'hdri';
-                    }
+                    const before = { map: this.environmentMap, type: environmentType ? environmentType.value : 'hdri' };
+                    const after = { map: envTexture, type: 'hdri' };
+                    this.setEnvironmentState(after);
                     
-                    this.applyEnvironmentMap(this.environmentMap);
+                    this.retainEnvironmentMap(before.map);
+                    this.retainEnvironmentMap(after.map);
+                    this.history.push({
+                        label: `Load HDRI ${file.name}`,
+                        undo: () => this.setEnvironmentState(before),
+                        redo: () => this.setEnvironmentState(after),
+                        dispose: () => {
+                            this.releaseEnvironmentMap(before.map);
+                            this.releaseEnvironmentMap(after.map);
+                        }
+                    });
                     
                     console.log('HDRI loaded successfully');
                 },
@@ -2044,6 +2816,13 @@ class SatelliteViewer {
             return;
         }
         
+        // Attribute panels are created lazily, so drop any made for the previous model or settings
+        this.outlinerAttributeCache.clear();
+        this.outlinerTransformFields.clear();
+        this.outlinerRowHeights.clear();
+        this.outlinerRowElements.clear();
+        this.outlinerRows = [];
+        this.outlinerRowsContainer = null;
         outlinerTree.innerHTML = '';
         
         if (!this.satellite) {
@@ -2053,52 +2832,282 @@ class SatelliteViewer {
         
         // Build tree starting from the satellite
         try {
-            const rootItem = this.createOutlinerItem(this.satellite, 'Model');
-            outlinerTree.appendChild(rootItem);
+            this.outlinerRowsContainer = document.createElement('div');
+            this.outlinerRowsContainer.className = 'outliner-rows';
+            outlinerTree.appendChild(this.outlinerRowsContainer);
+            this.refreshOutliner();
             console.log('Outliner built successfully');
         } catch (error) {
             console.error('Error building outliner:', error);
             outlinerTree.innerHTML = '<div style="color: #ff4444; padding: 10px;">Error building outliner</div>';
         }
     }
-
-    createOutlinerItem(object, defaultName = null) {
-        const item = document.createElement('div');
-        item.className = 'outliner-item';
-        item.dataset.objectUuid = object.uuid;
-        
-        const name = object.name || defaultName || object.type || 'Unnamed';
-        const hasChildren = object.children && object.children.length > 0;
-        const isMesh = object.isMesh;
-        const isGroup = object.isGroup || object.isScene;
-        
-        // Check if item has attributes to show (object attributes or materials)
-        const objAttrs = this.getObjectAttributes(object);
-        const hasMaterialAttrs = isMesh && object.material;
-        const hasAttributes = hasMaterialAttrs || objAttrs.length > 0;
-        
-        // Create header
-        const header = document.createElement('div');
-        header.className = 'outliner-item-header';
+    
+    setupOutlinerControls() {
+        const outlinerTree = document.getElementById('outliner-tree');
+        const searchInput = document.getElementById('outliner-search');
+        const searchField = document.getElementById('outliner-search-field');
+        if (!outlinerTree) return;
+        
+        // Rows come and go while scrolling, so listen on the tree instead of on each row
+        outlinerTree.addEventListener('click', (e) => {
+            const header = e.target.closest('.outliner-item-header');
+            const object = header ? this.getOutlinerObject(header.dataset.objectUuid) : null;
+            if (!object) return;
+            
+            this.toggleOutlinerExpanded(object);
+            // Select item (shift-click adds to the selection); the header class follows the selection
+            this.selection.select(object, e.shiftKey);
+        });
+        
+        // Double-click a node to fly the camera to it
+        outlinerTree.addEventListener('dblclick', (e) => {
+            const header = e.target.closest('.outliner-item-header');
+            const object = header ? this.getOutlinerObject(header.dataset.objectUuid) : null;
+            if (!object) return;
+            
+            e.preventDefault();
+            this.selection.select(object, e.shiftKey);
+            this.focusSelected();
+        });
+        
+        outlinerTree.addEventListener('scroll', () => this.scheduleOutlinerRender());
+        
+        // Re-render when the panel is resized or an attribute panel changes height
+        if (window.ResizeObserver) {
+            const resizeObserver = new ResizeObserver(() => this.scheduleOutlinerRender());
+            resizeObserver.observe(outlinerTree);
+        }
+        
+        if (searchInput) {
+            let searchTimeout = null;
+            const applySearch = () => {
+                this.setOutlinerFilter(searchInput.value, searchField ? searchField.value : 'all');
+            };
+            searchInput.addEventListener('input', () => {
+                clearTimeout(searchTimeout);
+                searchTimeout = setTimeout(applySearch, 150);
+            });
+            searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    searchInput.value = '';
+                    applySearch();
+                }
+            });
+            if (searchField) {
+                searchField.addEventListener('change', applySearch);
+            }
+        }
+    }
+    
+    setOutlinerFilter(query, field = 'all') {
+        const trimmed = String(query || '').trim().toLowerCase();
+        this.outlinerFilter = trimmed ? { query: trimmed, field } : null;
+        
+        const outlinerTree = document.getElementById('outliner-tree');
+        if (outlinerTree) outlinerTree.scrollTop = 0;
+        this.refreshOutliner();
+    }
+    
+    clearOutlinerFilter() {
+        const searchInput = document.getElementById('outliner-search');
+        if (searchInput) searchInput.value = '';
+        this.outlinerFilter = null;
+        this.refreshOutliner();
+    }
+    
+    matchesOutlinerFilter(object, filter) {
+        const { query, field } = filter;
+        const includesQuery = (value) => String(value || '').toLowerCase().includes(query);
+        
+        const matchesName = () => includesQuery(object.name)
+            || (object.userData.partInfo && includesQuery(object.userData.partInfo.name));
+        const matchesType = () => includesQuery(object.type);
+        const matchesMaterial = () => {
+            if (!object.material) return false;
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            return materials.some(material => material && (includesQuery(material.name) || includesQuery(material.type)));
+        };
+        
+        if (field === 'name') return matchesName();
+        if (field === 'type') return matchesType();
+        if (field === 'material') return matchesMaterial();
+        return matchesName() || matchesType() || matchesMaterial();
+    }
+    
+    updateOutlinerSearchStatus(matchCount) {
+        const status = document.getElementById('outliner-search-status');
+        if (!status) return;
         
-        // Expand button (if has children OR has attributes)
-        if (hasChildren || hasAttributes) {
-            const expand = document.createElement('span');
-            expand.className = 'outliner-expand';
-            header.appendChild(expand);
+        if (matchCount === null) {
+            status.classList.add('hidden');
+            return;
+        }
+        status.textContent = matchCount === 0
+            ? 'No matches'
+            : `${matchCount.toLocaleString()} match${matchCount === 1 ? '' : 'es'}`;
+        status.classList.remove('hidden');
+    }
+    
+    refreshOutliner() {
+        if (!this.satellite || !this.outlinerRowsContainer) return;
+        
+        this.outlinerRows = this.computeOutlinerRows();
+        this.layoutOutlinerRows();
+        this.renderOutlinerRows();
+    }
+    
+    computeOutlinerRows() {
+        const rows = [];
+        const filter = this.outlinerFilter;
+        let shown = null;
+        
+        if (filter) {
+            // Show every match together with the path leading to it
+            shown = new Set();
+            let matchCount = 0;
+            this.satellite.traverse(child => {
+                if (this.matchesOutlinerFilter(child, filter)) {
+                    matchCount++;
+                    this.someAncestor(child, node => {
+                        shown.add(node);
+                        return false;
+                    });
+                }
+            });
+            this.updateOutlinerSearchStatus(matchCount);
         } else {
-            const spacer = document.createElement('span');
-            spacer.style.width = '16px';
-            spacer.style.marginRight = '4px';
-            header.appendChild(spacer);
+            this.updateOutlinerSearchStatus(null);
+        }
+        
+        // Only expanded nodes (or the paths to matches) are walked, so collapsed subtrees cost nothing
+        const visit = (object, depth) => {
+            if (shown && !shown.has(object)) return;
+            
+            const expanded = this.outlinerExpanded.has(object.uuid);
+            rows.push({ type: 'node', object, depth, key: `node:${object.uuid}` });
+            if (expanded) {
+                rows.push({ type: 'attributes', object, depth, key: `attributes:${object.uuid}` });
+            }
+            if (expanded || shown) {
+                object.children.forEach(child => visit(child, depth + 1));
+            }
+        };
+        visit(this.satellite, 0);
+        
+        return rows;
+    }
+    
+    getOutlinerRowHeight(row) {
+        return this.outlinerRowHeights.get(row.key)
+            || (row.type === 'node' ? OUTLINER_ROW_HEIGHT : OUTLINER_ATTRIBUTES_HEIGHT);
+    }
+    
+    layoutOutlinerRows() {
+        const offsets = new Array(this.outlinerRows.length + 1);
+        let top = 0;
+        this.outlinerRows.forEach((row, index) => {
+            offsets[index] = top;
+            top += this.getOutlinerRowHeight(row);
+        });
+        offsets[this.outlinerRows.length] = top;
+        this.outlinerOffsets = offsets;
+    }
+    
+    scheduleOutlinerRender() {
+        if (this.outlinerRenderPending) return;
+        this.outlinerRenderPending = true;
+        requestAnimationFrame(() => {
+            this.outlinerRenderPending = false;
+            this.renderOutlinerRows();
+        });
+    }
+    
+    renderOutlinerRows() {
+        const outlinerTree = document.getElementById('outliner-tree');
+        const container = this.outlinerRowsContainer;
+        if (!outlinerTree || !container) return;
+        
+        const rows = this.outlinerRows;
+        const offsets = this.outlinerOffsets;
+        const totalHeight = offsets[rows.length] || 0;
+        const viewTop = outlinerTree.scrollTop - OUTLINER_OVERSCAN;
+        const viewBottom = outlinerTree.scrollTop + outlinerTree.clientHeight + OUTLINER_OVERSCAN;
+        
+        // First row that ends below the top of the view
+        let start = 0;
+        let high = rows.length;
+        while (start < high) {
+            const mid = (start + high) >> 1;
+            if (offsets[mid + 1] <= viewTop) {
+                start = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        let end = start;
+        while (end < rows.length && offsets[end] < viewBottom) {
+            end++;
+        }
+        
+        // Reuse rendered rows so their listeners, inputs and double-click state survive re-renders
+        const context = this.getOutlinerStateContext();
+        const rendered = new Map();
+        const elements = [];
+        for (let index = start; index < end; index++) {
+            const row = rows[index];
+            const existing = this.outlinerRowElements.get(row.key);
+            const element = existing ? existing.element : this.createOutlinerRow(row);
+            this.updateOutlinerRow(element, row, context);
+            rendered.set(row.key, { row, element });
+            elements.push(element);
+        }
+        this.outlinerRowElements = rendered;
+        
+        container.style.paddingTop = `${offsets[start] || 0}px`;
+        container.style.paddingBottom = `${totalHeight - (offsets[end] || totalHeight)}px`;
+        container.replaceChildren(...elements);
+        
+        // Replace estimated heights with measured ones and lay out again if anything moved
+        let changed = false;
+        elements.forEach((element, index) => {
+            const row = rows[start + index];
+            const height = element.offsetHeight;
+            if (height > 0 && height !== this.getOutlinerRowHeight(row)) {
+                this.outlinerRowHeights.set(row.key, height);
+                changed = true;
+            }
+        });
+        if (changed) {
+            this.layoutOutlinerRows();
+            this.scheduleOutlinerRender();
         }
+    }
+    
+    createOutlinerRow(row) {
+        const { object } = row;
+        
+        if (row.type === 'attributes') {
+            const attributesRow = document.createElement('div');
+            attributesRow.className = 'outliner-attributes-row';
+            attributesRow.appendChild(this.getOutlinerAttributes(object));
+            return attributesRow;
+        }
+        
+        const header = document.createElement('div');
+        header.className = 'outliner-item-header';
+        header.dataset.objectUuid = object.uuid;
+        
+        const expand = document.createElement('span');
+        expand.className = 'outliner-expand';
+        header.appendChild(expand);
         
         // Icon
         const icon = document.createElement('span');
         icon.className = 'outliner-icon';
-        if (isMesh) {
+        if (object.isMesh) {
             icon.textContent = '◻';
-        } else if (isGroup) {
+        } else if (object.isGroup || object.isScene) {
             icon.textContent = '▣';
         } else {
             icon.textContent = '○';
@@ -2108,142 +3117,1377 @@ class SatelliteViewer {
         // Name
         const nameSpan = document.createElement('span');
         nameSpan.className = 'outliner-item-name';
-        nameSpan.textContent = name;
+        nameSpan.textContent = object.name || (object === this.satellite ? 'Model' : object.type) || 'Unnamed';
         header.appendChild(nameSpan);
         
-        item.appendChild(header);
+        // Visibility, isolate and lock toggles
+        header.appendChild(this.createOutlinerRowActions(object));
         
-        // Attributes section (only add if there are attributes to show)
-        if (objAttrs.length > 0 || hasMaterialAttrs) {
-            const attributes = document.createElement('div');
-            attributes.className = 'outliner-attributes';
-            
-            // Object attributes
-            if (objAttrs.length > 0) {
-                objAttrs.forEach(attr => {
-                    const attrDiv = document.createElement('div');
-                    attrDiv.className = 'outliner-attribute';
-                    attrDiv.innerHTML = `<span class="outliner-attribute-label">${attr.label}:</span><span class="outliner-attribute-value">${attr.value}</span>`;
-                    attributes.appendChild(attrDiv);
-                });
-            }
-            
-            // Material attributes (if mesh)
-            if (hasMaterialAttrs) {
-                const materials = Array.isArray(object.material) ? object.material : [object.material];
-                materials.forEach((material, index) => {
-                    const materialHeader = document.createElement('div');
-                    materialHeader.className = 'outliner-attribute';
-                    materialHeader.style.marginTop = '8px';
-                    materialHeader.style.color = '#4a9eff';
-                    materialHeader.style.fontWeight = 'bold';
-                    materialHeader.textContent = `Material ${materials.length > 1 ? index + 1 : ''}`;
-                    attributes.appendChild(materialHeader);
-                    
-                    // Create editable material controls
-                    const materialControls = this.createMaterialControls(material, object);
-                    attributes.appendChild(materialControls);
-                });
-            }
-            
-            item.appendChild(attributes);
+        return header;
+    }
+    
+    updateOutlinerRow(element, row, context) {
+        if (row.type === 'attributes') {
+            element.style.paddingLeft = `${28 + row.depth * 20}px`;
+            return;
         }
         
-        // Children
-        if (hasChildren) {
-            const children = document.createElement('div');
-            children.className = 'outliner-children';
-            
-            object.children.forEach(child => {
-                const childItem = this.createOutlinerItem(child);
-                children.appendChild(childItem);
+        element.style.paddingLeft = `${8 + row.depth * 20}px`;
+        element.classList.toggle('expanded', this.outlinerExpanded.has(row.object.uuid));
+        this.applyOutlinerRowState(element, row.object, context);
+    }
+    
+    getOutlinerObject(uuid) {
+        const entry = this.outlinerRowElements.get(`node:${uuid}`);
+        return entry ? entry.row.object : null;
+    }
+    
+    toggleOutlinerExpanded(object) {
+        if (this.outlinerExpanded.has(object.uuid)) {
+            this.outlinerExpanded.delete(object.uuid);
+        } else {
+            this.outlinerExpanded.add(object.uuid);
+        }
+        this.refreshOutliner();
+    }
+    
+    getOutlinerAttributes(object) {
+        let attributes = this.outlinerAttributeCache.get(object.uuid);
+        if (!attributes) {
+            attributes = this.createOutlinerAttributes(object);
+            this.outlinerAttributeCache.set(object.uuid, attributes);
+        }
+        return attributes;
+    }
+    
+    createOutlinerAttributes(object) {
+        const attributes = document.createElement('div');
+        attributes.className = 'outliner-attributes';
+        
+        // Editable position, rotation and scale
+        attributes.appendChild(this.createTransformFields(object));
+        
+        // Object attributes
+        this.getObjectAttributes(object).forEach(attr => {
+            const attrDiv = document.createElement('div');
+            attrDiv.className = 'outliner-attribute';
+            attrDiv.innerHTML = `<span class="outliner-attribute-label">${attr.label}:</span><span class="outliner-attribute-value">${attr.value}</span>`;
+            attributes.appendChild(attrDiv);
+        });
+        
+        // Material attributes (if mesh)
+        if (object.isMesh && object.material) {
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach((material, index) => {
+                const materialHeader = document.createElement('div');
+                materialHeader.className = 'outliner-attribute';
+                materialHeader.style.marginTop = '8px';
+                materialHeader.style.color = '#4a9eff';
+                materialHeader.style.fontWeight = 'bold';
+                materialHeader.textContent = `Material ${materials.length > 1 ? index + 1 : ''}`;
+                attributes.appendChild(materialHeader);
+                
+                // Create editable material controls
+                const materialControls = this.createMaterialControls(material, object);
+                attributes.appendChild(materialControls);
             });
-            
-            item.appendChild(children);
         }
         
-        // Event listeners
-        header.addEventListener('click', (e) => {
-            // Toggle expansion if item is expandable (has children or attributes)
-            if (hasChildren || hasAttributes) {
-                item.classList.toggle('expanded');
+        return attributes;
+    }
+
+    createOutlinerRowActions(object) {
+        const actions = document.createElement('span');
+        actions.className = 'outliner-row-actions';
+        
+        const buttons = [
+            { action: 'visibility', icon: '👁', title: 'Show / hide', onClick: () => this.toggleVisibility(object) },
+            { action: 'isolate', icon: '◎', title: 'Isolate (show only this)', onClick: () => this.toggleIsolate(object) },
+            { action: 'lock', icon: '🔓', title: 'Lock / unlock picking in the viewport', onClick: () => this.toggleLock(object) }
+        ];
+        
+        buttons.forEach(({ action, icon, title, onClick }) => {
+            const button = document.createElement('button');
+            button.className = `outliner-row-action outliner-${action}`;
+            button.textContent = icon;
+            button.title = title;
+            button.addEventListener('click', (e) => {
+                // Don't select or expand the row
+                e.stopPropagation();
+                onClick();
+            });
+            button.addEventListener('dblclick', (e) => e.stopPropagation());
+            actions.appendChild(button);
+        });
+        
+        return actions;
+    }
+    
+    updateOutlinerRowStates() {
+        // Only rendered rows exist in the DOM; the rest pick up their state when scrolled into view
+        const context = this.getOutlinerStateContext();
+        this.outlinerRowElements.forEach(({ row, element }) => {
+            if (row.type === 'node') {
+                this.applyOutlinerRowState(element, row.object, context);
             }
-            // Select item
-            document.querySelectorAll('.outliner-item-header').forEach(h => h.classList.remove('selected'));
-            header.classList.add('selected');
         });
+    }
+    
+    getOutlinerStateContext() {
+        return {
+            selectedUuids: new Set(this.selection.selected.map(obj => obj.uuid)),
+            isolatedObject: this.isolation ? this.isolation.object : null
+        };
+    }
+    
+    applyOutlinerRowState(header, object, context) {
+        const hidden = this.someAncestor(object, node => !node.visible);
+        const locked = this.someAncestor(object, node => node.userData.locked === true);
+        header.classList.toggle('selected', context.selectedUuids.has(object.uuid));
+        header.classList.toggle('node-hidden', hidden);
+        
+        const visibilityButton = header.querySelector('.outliner-visibility');
+        const isolateButton = header.querySelector('.outliner-isolate');
+        const lockButton = header.querySelector('.outliner-lock');
+        if (visibilityButton) visibilityButton.classList.toggle('off', hidden);
+        if (isolateButton) isolateButton.classList.toggle('active', object === context.isolatedObject);
+        if (lockButton) {
+            lockButton.classList.toggle('active', locked);
+            lockButton.textContent = locked ? '🔒' : '🔓';
+        }
+    }
+    
+    someAncestor(object, predicate) {
+        // Checks the object and its parents up to the model root
+        let current = object;
+        while (current) {
+            if (predicate(current)) return true;
+            if (current === this.satellite) return false;
+            current = current.parent;
+        }
+        return false;
+    }
+    
+    isPickable(object) {
+        return !this.someAncestor(object, node => !node.visible || node.userData.locked === true);
+    }
+    
+    getNodeLabel(object) {
+        return object.name || object.type;
+    }
+    
+    captureNodeStates() {
+        const states = new Map();
+        this.satellite.traverse(child => {
+            states.set(child, { visible: child.visible, locked: child.userData.locked === true });
+        });
+        return { states, isolation: this.isolation };
+    }
+    
+    restoreNodeStates(snapshot) {
+        snapshot.states.forEach((state, object) => {
+            object.visible = state.visible;
+            this.setNodeLocked(object, state.locked);
+        });
+        this.isolation = snapshot.isolation;
+        this.updateOutlinerRowStates();
+    }
+    
+    setNodeLocked(object, locked) {
+        if (locked) {
+            object.userData.locked = true;
+        } else {
+            delete object.userData.locked;
+        }
+    }
+    
+    changeNodeStates(label, mutate) {
+        if (!this.satellite) return;
+        
+        // Snapshot the whole model before and after so undo/redo restore it exactly
+        const before = this.captureNodeStates();
+        mutate();
+        const after = this.captureNodeStates();
+        this.updateOutlinerRowStates();
         
-        return item;
+        this.history.push({
+            label,
+            undo: () => this.restoreNodeStates(before),
+            redo: () => this.restoreNodeStates(after)
+        });
     }
-
-    getObjectAttributes(object) {
-        const attrs = [];
+    
+    toggleVisibility(object) {
+        const visible = this.someAncestor(object, node => !node.visible);
         
-        // Position
-        if (object.position) {
-            attrs.push({
-                label: 'Position',
-                value: `X: ${object.position.x.toFixed(2)}, Y: ${object.position.y.toFixed(2)}, Z: ${object.position.z.toFixed(2)}`
+        this.changeNodeStates(`${visible ? 'Show' : 'Hide'} ${this.getNodeLabel(object)}`, () => {
+            object.traverse(child => {
+                child.visible = visible;
+            });
+            // A hidden parent would keep the node hidden, so reveal the path to it as well
+            if (visible) {
+                this.someAncestor(object, node => {
+                    node.visible = true;
+                    return false;
+                });
+            }
+        });
+    }
+    
+    toggleIsolate(object) {
+        // Clicking the isolated node again restores the visibility from before isolating
+        if (this.isolation && this.isolation.object === object) {
+            const { previousVisibility } = this.isolation;
+            this.changeNodeStates(`Exit isolation of ${this.getNodeLabel(object)}`, () => {
+                previousVisibility.forEach((visible, node) => {
+                    node.visible = visible;
+                });
+                this.isolation = null;
             });
+            return;
         }
         
-        // Rotation
-        if (object.rotation) {
-            attrs.push({
-                label: 'Rotation',
-                value: `X: ${(object.rotation.x * 180 / Math.PI).toFixed(1)}°, Y: ${(object.rotation.y * 180 / Math.PI).toFixed(1)}°, Z: ${(object.rotation.z * 180 / Math.PI).toFixed(1)}°`
+        this.changeNodeStates(`Isolate ${this.getNodeLabel(object)}`, () => {
+            // Switching isolation to another node keeps the original visibility to return to
+            let previousVisibility = this.isolation ? this.isolation.previousVisibility : null;
+            if (!previousVisibility) {
+                previousVisibility = new Map();
+                this.satellite.traverse(child => previousVisibility.set(child, child.visible));
+            }
+            
+            const shown = new Set();
+            object.traverse(child => shown.add(child));
+            this.someAncestor(object, node => {
+                shown.add(node);
+                return false;
+            });
+            this.satellite.traverse(child => {
+                child.visible = shown.has(child);
             });
+            
+            this.isolation = { object, previousVisibility };
+        });
+    }
+    
+    toggleLock(object) {
+        const locked = !this.someAncestor(object, node => node.userData.locked === true);
+        
+        this.changeNodeStates(`${locked ? 'Lock' : 'Unlock'} ${this.getNodeLabel(object)}`, () => {
+            object.traverse(child => this.setNodeLocked(child, locked));
+            // A locked parent would keep the node locked, so unlock the path to it as well
+            if (!locked) {
+                this.someAncestor(object, node => {
+                    this.setNodeLocked(node, false);
+                    return false;
+                });
+            }
+        });
+        
+        // Locked parts can't stay hovered
+        if (locked) {
+            this.selection.setHovered(null);
         }
+    }
+    
+    setupTransformControls() {
+        this.transformControls = new TransformControls(this.camera, this.renderer.domElement);
+        this.transformControls.visible = false;
+        this.scene.add(this.transformControls);
+        
+        // Orbiting would fight the gizmo drag
+        this.transformControls.addEventListener('dragging-changed', (event) => {
+            this.controls.enabled = !event.value;
+            
+            const object = this.transformControls.object;
+            if (!object) return;
+            
+            if (event.value) {
+                this.transformStart = this.captureTransform(object);
+            } else if (this.transformStart) {
+                this.pushTransformCommand(object, this.transformStart, `${this.getTransformModeLabel()} ${this.getNodeLabel(object)}`);
+                this.transformStart = null;
+            }
+        });
         
-        // Scale
-        if (object.scale) {
-            attrs.push({
-                label: 'Scale',
-                value: `X: ${object.scale.x.toFixed(2)}, Y: ${object.scale.y.toFixed(2)}, Z: ${object.scale.z.toFixed(2)}`
+        this.transformControls.addEventListener('objectChange', () => {
+            const object = this.transformControls.object;
+            if (object) this.refreshTransformFields(object);
+        });
+    }
+    
+    setupTransformPanel() {
+        document.querySelectorAll('.transform-mode-button').forEach(button => {
+            button.addEventListener('click', () => this.setTransformMode(button.dataset.mode));
+        });
+        
+        const localCheckbox = document.getElementById('transform-local');
+        if (localCheckbox) {
+            localCheckbox.addEventListener('change', () => {
+                this.transformControls.setSpace(localCheckbox.checked ? 'local' : 'world');
             });
         }
         
-        // Type
-        attrs.push({
-            label: 'Type',
-            value: object.type
+        ['transform-snap', 'snap-translate', 'snap-rotate', 'snap-scale'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => this.updateTransformSnapping());
+            }
+        });
+        this.updateTransformSnapping();
+        this.updateTransformPanel();
+    }
+    
+    setupSectionControls() {
+        this.sectionControls = new TransformControls(this.camera, this.renderer.domElement);
+        this.sectionControls.setSpace('local');
+        this.sectionControls.visible = false;
+        this.scene.add(this.sectionControls);
+        
+        this.sectionControls.addEventListener('dragging-changed', (event) => {
+            this.controls.enabled = !event.value;
+            if (event.value) {
+                this.beginSectionEdit();
+            } else {
+                this.commitSectionEdit(this.sectionHandle && this.sectionHandle.mode === 'rotate' ? 'Rotate section plane' : 'Move section plane');
+            }
         });
         
-        // Visible
-        if (object.visible !== undefined) {
-            attrs.push({
-                label: 'Visible',
-                value: object.visible ? 'Yes' : 'No'
+        this.sectionControls.addEventListener('objectChange', () => {
+            const entry = this.sectionHandle ? this.sectionPlanes.getPlane(this.sectionHandle.id) : null;
+            if (entry) this.sectionPlanes.updateFromHandle(entry);
+        });
+    }
+    
+    setupSectionPanel() {
+        const addButton = document.getElementById('add-section-button');
+        if (addButton) {
+            addButton.addEventListener('click', () => {
+                this.changeSections('Add section plane', () => {
+                    const entry = this.sectionPlanes.addPlane();
+                    if (entry) this.sectionHandle = { id: entry.id, mode: 'translate' };
+                });
             });
         }
         
-        // Geometry info (if mesh)
-        if (object.isMesh && object.geometry) {
-            const geo = object.geometry;
-            if (geo.attributes && geo.attributes.position) {
-                const vertexCount = geo.attributes.position.count;
-                attrs.push({
-                    label: 'Vertices',
-                    value: vertexCount.toLocaleString()
+        this.sectionPlanes.onChange = () => this.updateSectionPanel();
+        this.updateSectionPanel();
+    }
+    
+    updateSectionPanel() {
+        const list = document.getElementById('section-list');
+        const addButton = document.getElementById('add-section-button');
+        const planes = this.sectionPlanes.planes;
+        
+        if (addButton) addButton.disabled = !this.sectionPlanes.canAdd;
+        
+        if (list) {
+            // Rows are only rebuilt when planes come or go, so sliders and pickers keep working mid-drag
+            const ids = planes.map(entry => entry.id).join(',');
+            if (list.dataset.ids !== ids) {
+                list.innerHTML = '';
+                this.sectionRows.clear();
+                planes.forEach((entry, index) => {
+                    const row = this.createSectionRow(entry.id, index);
+                    this.sectionRows.set(entry.id, row);
+                    list.appendChild(row.element);
                 });
+                list.dataset.ids = ids;
             }
+            this.sectionRows.forEach(row => row.refresh());
         }
         
-        return attrs;
+        this.updateSectionHandle();
     }
-
-    createMaterialControls(material, mesh) {
-        const container = document.createElement('div');
-        container.className = 'material-controls';
-        container.style.marginLeft = '12px';
+    
+    createSectionRow(id, index) {
+        // Planes are looked up by id on every use: undo/redo recreates the plane objects
+        const getEntry = () => this.sectionPlanes.getPlane(id);
+        
+        const element = document.createElement('div');
+        element.className = 'section-row';
+        element.innerHTML = `
+            <div class="section-row-header">
+                <label><input type="checkbox" class="section-enabled"> Plane ${index + 1}</label>
+                <button class="section-remove" title="Remove plane">×</button>
+            </div>
+            <div class="section-row-fields">
+                <label>Axis
+                    <select class="section-axis">
+                        <option value="x">X</option>
+                        <option value="y">Y</option>
+                        <option value="z">Z</option>
+                        <option value="free">Free</option>
+                    </select>
+                </label>
+                <label><input type="checkbox" class="section-flip"> Flip</label>
+                <label>Cap <input type="color" class="section-cap-color"></label>
+            </div>
+            <div class="section-row-offset">
+                <span>Offset</span>
+                <input type="range" class="section-offset">
+            </div>
+            <div class="section-row-handle">
+                <button class="section-handle-button" data-mode="translate" title="Drag the plane along its normal">Move</button>
+                <button class="section-handle-button" data-mode="rotate" title="Tilt the plane freely">Rotate</button>
+            </div>
+        `;
+        
+        const enabledInput = element.querySelector('.section-enabled');
+        const axisSelect = element.querySelector('.section-axis');
+        const flipInput = element.querySelector('.section-flip');
+        const capInput = element.querySelector('.section-cap-color');
+        const offsetSlider = element.querySelector('.section-offset');
+        const handleButtons = element.querySelectorAll('.section-handle-button');
+        
+        const edit = (label, changes) => {
+            const entry = getEntry();
+            if (!entry) return;
+            this.changeSections(`${label} section plane ${index + 1}`, () => this.sectionPlanes.updatePlane(entry, changes));
+        };
         
-        if (!material) return container;
+        enabledInput.addEventListener('change', () => edit(enabledInput.checked ? 'Enable' : 'Disable', { enabled: enabledInput.checked }));
+        axisSelect.addEventListener('change', () => {
+            // Switching to Free keeps the current orientation for the rotate handle to start from
+            edit('Align', axisSelect.value === 'free' ? { axis: 'free' } : { axis: axisSelect.value, offset: 0 });
+        });
+        flipInput.addEventListener('change', () => edit('Flip', { flipped: flipInput.checked }));
+        
+        // Drags and colour picks become one undo step each
+        capInput.addEventListener('input', () => {
+            const entry = getEntry();
+            if (!entry) return;
+            this.beginSectionEdit();
+            this.sectionPlanes.updatePlane(entry, { capColor: capInput.value });
+        });
+        capInput.addEventListener('change', () => this.commitSectionEdit(`Cap color of section plane ${index + 1}`));
+        offsetSlider.addEventListener('input', () => {
+            const entry = getEntry();
+            if (!entry) return;
+            this.beginSectionEdit();
+            this.sectionPlanes.updatePlane(entry, { offset: parseFloat(offsetSlider.value) });
+        });
+        offsetSlider.addEventListener('change', () => this.commitSectionEdit(`Move section plane ${index + 1}`));
         
-        // Material type (read-only)
-        const typeDiv = document.createElement('div');
-        typeDiv.className = 'outliner-attribute';
-        typeDiv.innerHTML = `<span class="outliner-attribute-label">Type:</span><span class="outliner-attribute-value">${material.type}</span>`;
-        container.appendChild(typeDiv);
+        handleButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const active = this.sectionHandle && this.sectionHandle.id === id && this.sectionHandle.mode === button.dataset.mode;
+                this.sectionHandle = active ? null : { id, mode: button.dataset.mode };
+                this.updateSectionPanel();
+            });
+        });
+        
+        element.querySelector('.section-remove').addEventListener('click', () => {
+            const entry = getEntry();
+            if (!entry) return;
+            this.changeSections(`Remove section plane ${index + 1}`, () => this.sectionPlanes.removePlane(entry));
+        });
+        
+        const refresh = () => {
+            const entry = getEntry();
+            if (!entry) return;
+            const radius = this.sectionPlanes.radius;
+            
+            enabledInput.checked = entry.enabled;
+            axisSelect.value = entry.axis;
+            flipInput.checked = entry.flipped;
+            capInput.value = entry.capColor;
+            offsetSlider.min = -radius;
+            offsetSlider.max = radius;
+            offsetSlider.step = radius / 500;
+            offsetSlider.value = entry.offset;
+            element.classList.toggle('disabled', !entry.enabled);
+            handleButtons.forEach(button => {
+                button.classList.toggle('active', !!this.sectionHandle && this.sectionHandle.id === id && this.sectionHandle.mode === button.dataset.mode);
+            });
+        };
+        
+        return { element, refresh };
+    }
+    
+    updateSectionHandle() {
+        const entry = this.sectionHandle ? this.sectionPlanes.getPlane(this.sectionHandle.id) : null;
+        this.sectionPlanes.highlighted = entry ? entry.id : null;
+        if (!entry || !entry.enabled) {
+            // Dragging the gizmo is what changes the plane, so don't pull it away mid-drag
+            if (!this.sectionControls.dragging) {
+                this.sectionControls.detach();
+                this.sectionControls.visible = false;
+            }
+            if (!entry) this.sectionHandle = null;
+            return;
+        }
+        
+        const rotating = this.sectionHandle.mode === 'rotate';
+        this.sectionControls.setMode(this.sectionHandle.mode);
+        // Moving only makes sense along the normal; rotating about the normal changes nothing
+        this.sectionControls.showX = rotating;
+        this.sectionControls.showY = rotating;
+        this.sectionControls.showZ = !rotating;
+        if (this.sectionControls.object !== entry.handle) {
+            this.sectionControls.attach(entry.handle);
+        }
+        this.sectionControls.visible = true;
+    }
+    
+    beginSectionEdit() {
+        if (!this.sectionEditStart) {
+            this.sectionEditStart = this.sectionPlanes.getState();
+        }
+    }
+    
+    commitSectionEdit(label) {
+        const before = this.sectionEditStart;
+        this.sectionEditStart = null;
+        if (!before) return;
+        
+        const after = this.sectionPlanes.getState();
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        
+        this.history.push({
+            label,
+            undo: () => this.sectionPlanes.setState(before),
+            redo: () => this.sectionPlanes.setState(after)
+        });
+    }
+    
+    changeSections(label, mutate) {
+        this.beginSectionEdit();
+        mutate();
+        this.commitSectionEdit(label);
+    }
+    
+    setupMeasurePanel() {
+        document.querySelectorAll('.measure-mode-button').forEach(button => {
+            button.addEventListener('click', () => this.setMeasureMode(button.dataset.mode));
+        });
+        
+        const measureSelectedButton = document.getElementById('measure-selected-button');
+        const clearButton = document.getElementById('clear-measurements-button');
+        const list = document.getElementById('measurement-list');
+        
+        if (measureSelectedButton) {
+            measureSelectedButton.addEventListener('click', () => {
+                const part = this.selection.primary;
+                if (!part) return;
+                this.changeMeasurements(`Measure ${this.getNodeLabel(part)}`, () => this.measurements.measurePart(part));
+            });
+        }
+        if (clearButton) {
+            clearButton.addEventListener('click', () => {
+                this.changeMeasurements('Clear measurements', () => this.measurements.clear());
+            });
+        }
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('.measurement-remove');
+                if (!button) return;
+                const measurement = this.measurements.measurements.find(item => item.id === Number(button.dataset.id));
+                if (measurement) {
+                    this.changeMeasurements('Remove measurement', () => this.measurements.remove(measurement));
+                }
+            });
+        }
+        
+        this.measurements.onChange = () => this.updateMeasurePanel();
+        this.updateMeasurePanel();
+    }
+    
+    setMeasureMode(mode) {
+        this.measurements.setMode(mode);
+        if (mode !== 'none') this.setHotspotPlacement(false);
+        
+        // Measuring replaces picking for the gizmo, so drop back to plain selection
+        if (mode !== 'none' && this.transformMode !== 'none') {
+            this.setTransformMode('none');
+        }
+    }
+    
+    updateMeasurePanel() {
+        const mode = this.measurements.mode;
+        document.querySelectorAll('.measure-mode-button').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === mode);
+        });
+        
+        const hint = document.getElementById('measure-hint');
+        if (hint) {
+            const hints = {
+                none: 'Pick a tool, then click on the model. Values are in real-world units.',
+                distance: 'Click two points to measure the distance between them.',
+                angle: 'Click three points; the angle is measured at the second one.',
+                bounds: 'Click a part to measure its bounding box (width × height × depth).'
+            };
+            hint.textContent = hints[mode] || hints.none;
+        }
+        
+        const list = document.getElementById('measurement-list');
+        if (!list) return;
+        
+        const icons = { distance: '↔', angle: '∠', bounds: '⬚' };
+        list.innerHTML = '';
+        this.measurements.measurements.forEach(measurement => {
+            const item = document.createElement('div');
+            item.className = 'measurement-item';
+            
+            const label = document.createElement('span');
+            const target = measurement.part ? ` ${this.getNodeLabel(measurement.part)}:` : '';
+            label.textContent = `${icons[measurement.type]}${target} ${this.measurements.formatValue(measurement)}`;
+            
+            const remove = document.createElement('button');
+            remove.className = 'measurement-remove';
+            remove.dataset.id = measurement.id;
+            remove.textContent = '×';
+            remove.title = 'Remove measurement';
+            
+            item.appendChild(label);
+            item.appendChild(remove);
+            list.appendChild(item);
+        });
+        
+        const clearButton = document.getElementById('clear-measurements-button');
+        if (clearButton) clearButton.disabled = this.measurements.measurements.length === 0;
+    }
+    
+    addMeasurementPoint(hit) {
+        if (this.measurements.mode === 'bounds') {
+            this.changeMeasurements(`Measure ${this.getNodeLabel(hit.object)}`, () => this.measurements.measurePart(hit.object));
+            return;
+        }
+        
+        // The measurement only enters the history once its last point is placed
+        const before = this.getMeasurementSnapshot();
+        const measurement = this.measurements.addPoint(hit);
+        if (measurement) {
+            this.pushMeasurementCommand(measurement.type === 'angle' ? 'Measure angle' : 'Measure distance', before);
+        }
+    }
+    
+    getMeasurementSnapshot() {
+        return this.measurements.measurements.map(({ id, type, anchors, part }) => ({ id, type, anchors, part }));
+    }
+    
+    changeMeasurements(label, mutate) {
+        const before = this.getMeasurementSnapshot();
+        mutate();
+        this.pushMeasurementCommand(label, before);
+    }
+    
+    pushMeasurementCommand(label, before) {
+        const after = this.getMeasurementSnapshot();
+        if (before.length === after.length && before.every((item, index) => item.id === after[index].id)) return;
+        
+        this.history.push({
+            label,
+            undo: () => this.measurements.restore(before),
+            redo: () => this.measurements.restore(after)
+        });
+    }
+    
+    setupHotspotPanel() {
+        const addButton = document.getElementById('add-hotspot-button');
+        if (addButton) {
+            addButton.addEventListener('click', () => this.setHotspotPlacement(!this.isPlacingHotspot));
+        }
+        
+        this.hotspots.onChange = () => this.updateHotspotPanel();
+        this.updateHotspotPanel();
+    }
+    
+    setHotspotPlacement(enabled) {
+        this.isPlacingHotspot = enabled;
+        if (enabled) this.setMeasureMode('none');
+        
+        const addButton = document.getElementById('add-hotspot-button');
+        if (addButton) {
+            addButton.classList.toggle('active', enabled);
+            addButton.textContent = enabled ? 'Click the model to place the pin…' : '📍 Add Pin';
+        }
+    }
+    
+    addHotspot(hit) {
+        this.setHotspotPlacement(false);
+        
+        let pin = null;
+        this.changeHotspots('Add hotspot', () => {
+            pin = this.hotspots.add({ object: hit.object, point: hit.point });
+        });
+        
+        // Open the new pin's row so it can be named right away
+        const row = pin ? this.hotspotRows.get(pin.id) : null;
+        if (row) row.focus();
+    }
+    
+    showHotspot(pin) {
+        const number = this.hotspots.getNumber(pin);
+        this.showIndicator(pin.object, this.hotspots.getWorldPosition(pin), {
+            name: pin.title || `Hotspot ${number}`,
+            description: pin.text
+        });
+    }
+    
+    updateHotspotPanel() {
+        const list = document.getElementById('hotspot-list');
+        if (!list) return;
+        
+        // Rows are only rebuilt when pins come or go, so fields being typed in keep their focus
+        const ids = this.hotspots.pins.map(pin => pin.id).join(',');
+        if (list.dataset.ids !== ids) {
+            list.innerHTML = '';
+            this.hotspotRows.clear();
+            this.hotspots.pins.forEach(pin => {
+                const row = this.createHotspotRow(pin.id);
+                this.hotspotRows.set(pin.id, row);
+                list.appendChild(row.element);
+            });
+            list.dataset.ids = ids;
+        }
+        this.hotspotRows.forEach(row => row.refresh());
+    }
+    
+    createHotspotRow(id) {
+        // Pins are looked up by id on every use: undo/redo recreates the pin objects
+        const getPin = () => this.hotspots.getPin(id);
+        
+        const element = document.createElement('div');
+        element.className = 'hotspot-row';
+        element.innerHTML = `
+            <div class="hotspot-row-header">
+                <span class="hotspot-row-number"></span>
+                <select class="hotspot-row-icon" title="Icon"></select>
+                <input type="text" class="hotspot-row-title" placeholder="Title">
+                <button class="hotspot-row-show" title="Show popup">👁</button>
+                <button class="hotspot-row-remove" title="Remove pin">×</button>
+            </div>
+            <textarea class="hotspot-row-text" rows="2" placeholder="Popup text"></textarea>
+        `;
+        
+        const number = element.querySelector('.hotspot-row-number');
+        const iconSelect = element.querySelector('.hotspot-row-icon');
+        const titleInput = element.querySelector('.hotspot-row-title');
+        const textInput = element.querySelector('.hotspot-row-text');
+        
+        Object.keys(HOTSPOT_ICONS).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = HOTSPOT_ICONS[key];
+            iconSelect.appendChild(option);
+        });
+        
+        const edit = (label, changes) => {
+            const pin = getPin();
+            if (!pin) return;
+            this.changeHotspots(`${label} hotspot ${this.hotspots.getNumber(pin)}`, () => this.hotspots.edit(pin, changes));
+        };
+        
+        iconSelect.addEventListener('change', () => edit('Change icon of', { icon: iconSelect.value }));
+        titleInput.addEventListener('change', () => edit('Rename', { title: titleInput.value.trim() }));
+        textInput.addEventListener('change', () => edit('Edit text of', { text: textInput.value.trim() }));
+        
+        element.querySelector('.hotspot-row-show').addEventListener('click', () => {
+            const pin = getPin();
+            if (pin) this.showHotspot(pin);
+        });
+        element.querySelector('.hotspot-row-remove').addEventListener('click', () => {
+            const pin = getPin();
+            if (!pin) return;
+            this.changeHotspots(`Remove hotspot ${this.hotspots.getNumber(pin)}`, () => this.hotspots.remove(pin));
+        });
+        
+        const refresh = () => {
+            const pin = getPin();
+            if (!pin) return;
+            number.textContent = this.hotspots.getNumber(pin);
+            iconSelect.value = pin.icon;
+            if (document.activeElement !== titleInput) titleInput.value = pin.title;
+            if (document.activeElement !== textInput) textInput.value = pin.text;
+        };
+        
+        const focus = () => {
+            titleInput.focus();
+            titleInput.select();
+        };
+        
+        return { element, refresh, focus };
+    }
+    
+    changeHotspots(label, mutate) {
+        const before = this.hotspots.getState();
+        mutate();
+        const after = this.hotspots.getState();
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        
+        this.history.push({
+            label,
+            undo: () => this.hotspots.setState(before),
+            redo: () => this.hotspots.setState(after)
+        });
+    }
+    
+    getModelKey(pathOrName) {
+        // Sessions belong to the model file, whichever folder or page it was opened from
+        return String(pathOrName).split(/[?#]/)[0].split('/').pop();
+    }
+    
+    setupSessionPanel() {
+        const saveButton = document.getElementById('save-session-button');
+        const nameInput = document.getElementById('session-name');
+        const exportButton = document.getElementById('export-sessions-button');
+        const importButton = document.getElementById('import-sessions-button');
+        const fileInput = document.getElementById('session-file-input');
+        
+        if (saveButton) {
+            saveButton.addEventListener('click', () => this.saveSession(nameInput ? nameInput.value.trim() : ''));
+        }
+        if (nameInput) {
+            nameInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.saveSession(nameInput.value.trim());
+            });
+        }
+        if (exportButton) {
+            exportButton.addEventListener('click', () => this.exportSessions());
+        }
+        if (importButton && fileInput) {
+            importButton.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.importSessionsFromFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+        
+        // Don't lose the last edits when the tab is closed or hidden before the autosave delay
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && this.autosaveTimer) {
+                this.autosave();
+            }
+        });
+        
+        if (!this.sessionStore.isAvailable) {
+            this.setSessionStatus('Sessions need a browser with IndexedDB.');
+        }
+        this.updateSessionPanel();
+    }
+    
+    setSessionStatus(text) {
+        const status = document.getElementById('session-status');
+        if (status) status.textContent = text;
+    }
+    
+    updateSessionPanel() {
+        const list = document.getElementById('session-list');
+        if (!list || !this.sessionStore.isAvailable) return;
+        
+        if (!this.modelKey) {
+            list.innerHTML = '';
+            return;
+        }
+        
+        const modelKey = this.modelKey;
+        this.sessionStore.list(modelKey).then((sessions) => {
+            // Another model may have been loaded while the list was being read
+            if (modelKey !== this.modelKey) return;
+            
+            list.innerHTML = '';
+            if (sessions.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'session-empty';
+                empty.textContent = `No sessions saved for ${modelKey} yet.`;
+                list.appendChild(empty);
+            }
+            sessions.forEach(session => list.appendChild(this.createSessionRow(session)));
+        }).catch((error) => {
+            console.error('Error reading sessions:', error);
+            this.setSessionStatus('Saved sessions could not be read.');
+        });
+    }
+    
+    createSessionRow(session) {
+        const row = document.createElement('div');
+        row.className = 'session-row';
+        row.classList.toggle('autosave', session.autosave);
+        row.innerHTML = `
+            <div class="session-row-header">
+                <input type="text" class="session-row-name" title="Rename">
+                <button class="session-row-restore" title="Restore this session">Restore</button>
+                <button class="session-row-duplicate" title="Duplicate">⧉</button>
+                <button class="session-row-delete" title="Delete">×</button>
+            </div>
+            <div class="session-row-date"></div>
+        `;
+        
+        const nameInput = row.querySelector('.session-row-name');
+        nameInput.value = session.name;
+        // The autosave keeps its name; duplicate it to keep a named copy
+        nameInput.disabled = session.autosave;
+        row.querySelector('.session-row-date').textContent = `${session.autosave ? 'Saved automatically' : 'Saved'} ${new Date(session.updatedAt).toLocaleString()}`;
+        
+        nameInput.addEventListener('change', () => {
+            const name = nameInput.value.trim();
+            if (!name) {
+                nameInput.value = session.name;
+                return;
+            }
+            this.runSessionAction(this.sessionStore.rename(session, name), 'rename the session');
+        });
+        row.querySelector('.session-row-restore').addEventListener('click', () => this.restoreSession(session));
+        row.querySelector('.session-row-duplicate').addEventListener('click', () => {
+            this.runSessionAction(this.sessionStore.duplicate(session, `${session.name} copy`), 'duplicate the session');
+        });
+        row.querySelector('.session-row-delete').addEventListener('click', () => {
+            if (!confirm(`Delete the session "${session.name}"? This cannot be undone.`)) return;
+            this.runSessionAction(this.sessionStore.delete(session.id), 'delete the session');
+        });
+        
+        return row;
+    }
+    
+    // Refresh the list once a store operation has finished, or report why it failed.
+    // Resolves with whether the operation succeeded.
+    runSessionAction(promise, description) {
+        return promise.then(() => {
+            this.updateSessionPanel();
+            return true;
+        }).catch((error) => {
+            console.error(`Failed to ${description}:`, error);
+            alert(`Failed to ${description}. Please check the console for details.`);
+            this.updateSessionPanel();
+            return false;
+        });
+    }
+    
+    saveSession(name) {
+        if (!this.satellite || !this.modelKey) {
+            alert('Load a model before saving a session.');
+            return;
+        }
+        
+        const sessionName = name || `Session ${new Date().toLocaleString()}`;
+        this.runSessionAction(this.sessionStore.create(this.modelKey, sessionName, this.collectSettings()), 'save the session').then((saved) => {
+            if (!saved) return;
+            const nameInput = document.getElementById('session-name');
+            if (nameInput) nameInput.value = '';
+            this.setSessionStatus(`Saved "${sessionName}".`);
+        });
+    }
+    
+    restoreSession(session) {
+        if (!confirm(`Restore "${session.name}"? Current changes that aren't in a session will be replaced.`)) return;
+        
+        try {
+            this.applySettingsData(session.settings, `Restored "${session.name}".`);
+        } catch (error) {
+            console.error('Error restoring session:', error);
+            alert(`Failed to restore session: ${error.message}`);
+        }
+    }
+    
+    scheduleAutosave() {
+        // Only edits are saved: loading a model clears the history without changing anything
+        if (!this.satellite || !this.modelKey || !this.sessionStore.isAvailable) return;
+        if (!this.history.canUndo && !this.history.canRedo) return;
+        
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.autosave(), AUTOSAVE_DELAY);
+    }
+    
+    autosave() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+        if (!this.satellite || !this.modelKey) return;
+        
+        this.sessionStore.autosave(this.modelKey, this.collectSettings()).then(() => {
+            this.setSessionStatus(`Autosaved at ${new Date().toLocaleTimeString()}.`);
+            this.updateSessionPanel();
+        }).catch((error) => {
+            console.error('Autosave failed:', error);
+            this.setSessionStatus('Autosave failed. Save your settings to a file to keep them.');
+        });
+    }
+    
+    exportSessions() {
+        if (!this.modelKey) return;
+        
+        this.sessionStore.exportBundle(this.modelKey).then((bundle) => {
+            if (bundle.sessions.length === 0) {
+                alert('There are no sessions to export for this model.');
+                return;
+            }
+            
+            const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${this.modelKey.replace(/\.(gltf|glb)$/i, '')}-sessions.json`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        }).catch((error) => {
+            console.error('Error exporting sessions:', error);
+            alert('Failed to export sessions. Please check the console for details.');
+        });
+    }
+    
+    importSessionsFromFile(file) {
+        const reader = new FileReader();
+        
+        reader.onload = (e) => {
+            let bundle;
+            try {
+                bundle = JSON.parse(e.target.result);
+            } catch (error) {
+                console.error('Error reading session bundle:', error);
+                alert('Failed to import sessions. Please check that it is a valid JSON file.');
+                return;
+            }
+            
+            this.sessionStore.importBundle(bundle).then((count) => {
+                const others = bundle.sessions.filter(session => session && session.model !== this.modelKey).length;
+                this.setSessionStatus(`Imported ${count} session${count === 1 ? '' : 's'}${others > 0 ? `, ${others} for other models` : ''}.`);
+                this.updateSessionPanel();
+            }).catch((error) => {
+                console.error('Error importing sessions:', error);
+                alert(`Failed to import sessions: ${error.message}`);
+            });
+        };
+        
+        reader.onerror = () => {
+            console.error('Error reading file');
+            alert('Failed to read session file.');
+        };
+        
+        reader.readAsText(file);
+    }
+    
+    setupExplodeControls() {
+        const slider = document.getElementById('explode-slider');
+        const button = document.getElementById('explode-button');
+        
+        if (slider) {
+            // The model follows the slider directly; each drag is one undo step
+            slider.addEventListener('input', () => {
+                if (this.explodeStart === null) this.explodeStart = this.explodedView.targetAmount;
+                this.explodedView.setAmount(parseFloat(slider.value));
+            });
+            slider.addEventListener('change', () => {
+                const before = this.explodeStart;
+                const after = parseFloat(slider.value);
+                this.explodeStart = null;
+                if (before === null || before === after) return;
+                
+                this.history.push({
+                    label: `Explode ${Math.round(after * 100)}%`,
+                    undo: () => this.explodedView.animateTo(before),
+                    redo: () => this.explodedView.animateTo(after)
+                });
+            });
+        }
+        if (button) {
+            button.addEventListener('click', () => this.toggleExplode());
+        }
+        
+        this.explodedView.onChange = () => this.updateExplodeControls();
+        this.updateExplodeControls();
+    }
+    
+    updateExplodeControls() {
+        const slider = document.getElementById('explode-slider');
+        const value = document.getElementById('explode-value');
+        const button = document.getElementById('explode-button');
+        const amount = this.explodedView.amount;
+        const hasParts = this.explodedView.parts.length > 0;
+        
+        if (slider) {
+            slider.value = amount;
+            slider.disabled = !hasParts;
+        }
+        if (value) value.textContent = `${Math.round(amount * 100)}%`;
+        if (button) {
+            button.textContent = this.explodedView.targetAmount > 0 ? 'Assemble (X)' : 'Explode (X)';
+            button.disabled = !hasParts;
+        }
+        
+        // Keep the numeric transform fields of the moving parts current
+        this.explodedView.parts.forEach(({ object }) => this.refreshTransformFields(object));
+    }
+    
+    toggleExplode() {
+        if (this.explodedView.parts.length === 0) return;
+        
+        const exploding = this.explodedView.targetAmount === 0;
+        this.changeExplodeAmount(exploding ? 1 : 0, exploding ? 'Explode' : 'Assemble');
+    }
+    
+    changeExplodeAmount(amount, label, duration) {
+        const before = this.explodedView.targetAmount;
+        const after = THREE.MathUtils.clamp(Number(amount) || 0, 0, 1);
+        if (before === after || this.explodedView.parts.length === 0) return;
+        
+        this.explodedView.animateTo(after, { duration });
+        this.history.push({
+            label,
+            undo: () => this.explodedView.animateTo(before, { duration }),
+            redo: () => this.explodedView.animateTo(after, { duration })
+        });
+    }
+    
+    setupHistoryPanel() {
+        const undoButton = document.getElementById('undo-button');
+        const redoButton = document.getElementById('redo-button');
+        const historyList = document.getElementById('history-list');
+        
+        if (undoButton) undoButton.addEventListener('click', () => this.history.undo());
+        if (redoButton) redoButton.addEventListener('click', () => this.history.redo());
+        if (historyList) {
+            // Clicking an entry undoes or redoes everything up to and including it
+            historyList.addEventListener('click', (e) => {
+                const item = e.target.closest('.history-item');
+                if (item) this.history.goTo(Number(item.dataset.index));
+            });
+        }
+        
+        this.history.onChange = () => {
+            this.updateHistoryPanel();
+            this.scheduleAutosave();
+        };
+        this.updateHistoryPanel();
+    }
+    
+    updateHistoryPanel() {
+        const undoButton = document.getElementById('undo-button');
+        const redoButton = document.getElementById('redo-button');
+        const historyList = document.getElementById('history-list');
+        const { undoStack, redoStack } = this.history;
+        
+        if (undoButton) {
+            undoButton.disabled = !this.history.canUndo;
+            undoButton.title = this.history.canUndo ? `Undo ${undoStack[undoStack.length - 1].label} (Ctrl+Z)` : 'Nothing to undo';
+        }
+        if (redoButton) {
+            redoButton.disabled = !this.history.canRedo;
+            redoButton.title = this.history.canRedo ? `Redo ${redoStack[redoStack.length - 1].label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+        }
+        if (!historyList) return;
+        
+        // Oldest first: the starting state, applied edits, then undone edits that can still be redone
+        const entries = [
+            { label: 'Start', index: 0 },
+            ...undoStack.map((command, i) => ({ label: command.label, index: i + 1 })),
+            ...redoStack.slice().reverse().map((command, i) => ({ label: command.label, index: undoStack.length + i + 1, undone: true }))
+        ];
+        
+        historyList.innerHTML = '';
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'history-item';
+            item.classList.toggle('current', entry.index === undoStack.length);
+            item.classList.toggle('undone', !!entry.undone);
+            item.dataset.index = entry.index;
+            item.textContent = entry.label;
+            historyList.appendChild(item);
+        });
+        
+        // Keep the current entry in view without scrolling the whole panel
+        const current = historyList.querySelector('.history-item.current');
+        if (current) {
+            historyList.scrollTop = Math.max(0, current.offsetTop + current.offsetHeight - historyList.clientHeight);
+        }
+    }
+    
+    setTransformMode(mode) {
+        this.transformMode = mode;
+        if (mode !== 'none') {
+            this.transformControls.setMode(mode);
+        }
+        this.updateTransformGizmo();
+        this.updateTransformPanel();
+    }
+    
+    toggleTransformSpace() {
+        const localCheckbox = document.getElementById('transform-local');
+        const space = this.transformControls.space === 'local' ? 'world' : 'local';
+        this.transformControls.setSpace(space);
+        if (localCheckbox) localCheckbox.checked = space === 'local';
+    }
+    
+    updateTransformSnapping() {
+        const snapCheckbox = document.getElementById('transform-snap');
+        const snap = snapCheckbox ? snapCheckbox.checked : false;
+        const readStep = (id) => {
+            const input = document.getElementById(id);
+            const value = input ? parseFloat(input.value) : NaN;
+            return snap && value > 0 ? value : null;
+        };
+        
+        const rotationStep = readStep('snap-rotate');
+        this.transformControls.setTranslationSnap(readStep('snap-translate'));
+        this.transformControls.setRotationSnap(rotationStep !== null ? THREE.MathUtils.degToRad(rotationStep) : null);
+        this.transformControls.setScaleSnap(readStep('snap-scale'));
+    }
+    
+    updateTransformPanel() {
+        document.querySelectorAll('.transform-mode-button').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === this.transformMode);
+        });
+    }
+    
+    updateTransformGizmo() {
+        // The gizmo follows the primary selection, unless it is locked or no mode is active
+        const object = this.selection.primary;
+        const canTransform = this.transformMode !== 'none' && object && this.isInModel(object)
+            && !this.someAncestor(object, node => node.userData.locked === true);
+        
+        if (canTransform) {
+            if (this.transformControls.object !== object) {
+                this.transformControls.attach(object);
+            }
+            this.transformControls.visible = true;
+        } else {
+            this.transformControls.detach();
+            this.transformControls.visible = false;
+        }
+    }
+    
+    getTransformModeLabel() {
+        return { translate: 'Move', rotate: 'Rotate', scale: 'Scale' }[this.transformControls.mode] || 'Transform';
+    }
+    
+    captureTransform(object) {
+        return {
+            position: object.position.clone(),
+            quaternion: object.quaternion.clone(),
+            scale: object.scale.clone()
+        };
+    }
+    
+    applyTransform(object, transform) {
+        // Saved transforms include the explode offset they were captured with
+        this.explodedView.finish();
+        object.position.copy(transform.position);
+        object.quaternion.copy(transform.quaternion);
+        object.scale.copy(transform.scale);
+        object.updateMatrixWorld(true);
+        this.refreshTransformFields(object);
+    }
+    
+    pushTransformCommand(object, before, label) {
+        const after = this.captureTransform(object);
+        const unchanged = before.position.equals(after.position)
+            && before.quaternion.equals(after.quaternion)
+            && before.scale.equals(after.scale);
+        if (unchanged) return;
+        
+        this.history.push({
+            label,
+            undo: () => this.applyTransform(object, before),
+            redo: () => this.applyTransform(object, after)
+        });
+    }
+    
+    createTransformFields(object) {
+        const container = document.createElement('div');
+        container.className = 'outliner-transform';
+        
+        // Rotation is edited in degrees
+        const fields = [
+            { label: 'Position', property: 'position', toDisplay: v => v, fromDisplay: v => v, step: 0.01 },
+            { label: 'Rotation', property: 'rotation', toDisplay: THREE.MathUtils.radToDeg, fromDisplay: THREE.MathUtils.degToRad, step: 1 },
+            { label: 'Scale', property: 'scale', toDisplay: v => v, fromDisplay: v => v, step: 0.01 }
+        ];
+        const inputs = [];
+        
+        fields.forEach(field => {
+            const row = document.createElement('div');
+            row.className = 'outliner-attribute outliner-transform-row';
+            
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'outliner-attribute-label';
+            labelSpan.textContent = field.label + ':';
+            row.appendChild(labelSpan);
+            
+            ['x', 'y', 'z'].forEach(axis => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.step = field.step;
+                input.className = 'outliner-transform-input';
+                input.title = `${field.label} ${axis.toUpperCase()}`;
+                input.addEventListener('change', () => {
+                    const value = parseFloat(input.value);
+                    if (!Number.isFinite(value)) {
+                        this.refreshTransformFields(object);
+                        return;
+                    }
+                    
+                    const before = this.captureTransform(object);
+                    object[field.property][axis] = field.fromDisplay(value);
+                    object.updateMatrixWorld(true);
+                    this.pushTransformCommand(object, before, `Set ${field.label.toLowerCase()} ${axis.toUpperCase()} of ${this.getNodeLabel(object)}`);
+                    this.refreshTransformFields(object);
+                });
+                inputs.push({ input, field, axis });
+                row.appendChild(input);
+            });
+            
+            container.appendChild(row);
+        });
+        
+        const refresh = () => {
+            inputs.forEach(({ input, field, axis }) => {
+                // Don't overwrite a value the user is typing
+                if (document.activeElement === input) return;
+                input.value = parseFloat(field.toDisplay(object[field.property][axis]).toFixed(3));
+            });
+        };
+        refresh();
+        this.outlinerTransformFields.set(object.uuid, refresh);
+        
+        return container;
+    }
+    
+    refreshTransformFields(object) {
+        const refresh = this.outlinerTransformFields.get(object.uuid);
+        if (refresh) refresh();
+    }
+    
+    getObjectAttributes(object) {
+        const attrs = [];
+        
+        // Position, rotation and scale are shown as editable fields (see createTransformFields)
+        
+        // Type
+        attrs.push({
+            label: 'Type',
+            value: object.type
+        });
+        
+        // Geometry info (if mesh)
+        if (object.isMesh && object.geometry) {
+            const geo = object.geometry;
+            if (geo.attributes && geo.attributes.position) {
+                const vertexCount = geo.attributes.position.count;
+                attrs.push({
+                    label: 'Vertices',
+                    value: vertexCount.toLocaleString()
+                });
+            }
+        }
+        
+        return attrs;
+    }
+
+    createMaterialControls(material, mesh) {
+        const container = document.createElement('div');
+        container.className = 'material-controls';
+        container.style.marginLeft = '12px';
+        
+        if (!material) return container;
+        
+        // Material type (read-only)
+        const typeDiv = document.createElement('div');
+        typeDiv.className = 'outliner-attribute';
+        typeDiv.innerHTML = `<span class="outliner-attribute-label">Type:</span><span class="outliner-attribute-value">${material.type}</span>`;
+        container.appendChild(typeDiv);
         
         // Color picker
         if (material.color) {
@@ -2264,11 +4508,21 @@ class SatelliteViewer {
             colorValue.textContent = colorInput.value;
             colorValue.style.marginLeft = '8px';
             
+            // One undo step per pick: remember the colour from before the picker was opened
+            let colorBefore = null;
             colorInput.addEventListener('input', (e) => {
+                if (colorBefore === null) colorBefore = material.color.getHex();
                 material.color.setHex(e.target.value.replace('#', '0x'));
                 material.needsUpdate = true;
                 colorValue.textContent = e.target.value;
             });
+            colorInput.addEventListener('change', () => {
+                if (colorBefore === null) return;
+                this.pushMaterialCommand(material, 'Color', colorBefore, material.color.getHex(), (hex) => {
+                    material.color.setHex(hex);
+                });
+                colorBefore = null;
+            });
             
             colorDiv.appendChild(colorInput);
             colorDiv.appendChild(colorValue);
@@ -2278,18 +4532,24 @@ class SatelliteViewer {
         
         // Roughness slider
         if (material.roughness !== undefined) {
-            const roughnessDiv = this.createSliderControl('Roughness', material.roughness, 0, 1, 0.01, (value) => {
+            const setRoughness = (value) => {
                 material.roughness = value;
                 material.needsUpdate = true;
+            };
+            const roughnessDiv = this.createSliderControl('Roughness', material.roughness, 0, 1, 0.01, setRoughness, (before, after) => {
+                this.pushMaterialCommand(material, 'Roughness', before, after, setRoughness);
             });
             container.appendChild(roughnessDiv);
         }
         
         // Metalness slider
         if (material.metalness !== undefined) {
-            const metalnessDiv = this.createSliderControl('Metalness', material.metalness, 0, 1, 0.01, (value) => {
+            const setMetalness = (value) => {
                 material.metalness = value;
                 material.needsUpdate = true;
+            };
+            const metalnessDiv = this.createSliderControl('Metalness', material.metalness, 0, 1, 0.01, setMetalness, (before, after) => {
+                this.pushMaterialCommand(material, 'Metalness', before, after, setMetalness);
             });
             container.appendChild(metalnessDiv);
         }
@@ -2313,11 +4573,21 @@ class SatelliteViewer {
             emissiveValue.textContent = emissiveInput.value;
             emissiveValue.style.marginLeft = '8px';
             
+            // One undo step per pick: remember the colour from before the picker was opened
+            let emissiveBefore = null;
             emissiveInput.addEventListener('input', (e) => {
+                if (emissiveBefore === null) emissiveBefore = material.emissive.getHex();
                 material.emissive.setHex(e.target.value.replace('#', '0x'));
                 material.needsUpdate = true;
                 emissiveValue.textContent = e.target.value;
             });
+            emissiveInput.addEventListener('change', () => {
+                if (emissiveBefore === null) return;
+                this.pushMaterialCommand(material, 'Emissive', emissiveBefore, material.emissive.getHex(), (hex) => {
+                    material.emissive.setHex(hex);
+                });
+                emissiveBefore = null;
+            });
             
             emissiveDiv.appendChild(emissiveInput);
             emissiveDiv.appendChild(emissiveValue);
@@ -2327,19 +4597,25 @@ class SatelliteViewer {
         
         // Emissive intensity slider
         if (material.emissiveIntensity !== undefined) {
-            const emissiveIntensityDiv = this.createSliderControl('Emissive Intensity', material.emissiveIntensity, 0, 5, 0.1, (value) => {
+            const setEmissiveIntensity = (value) => {
                 material.emissiveIntensity = value;
                 material.needsUpdate = true;
+            };
+            const emissiveIntensityDiv = this.createSliderControl('Emissive Intensity', material.emissiveIntensity, 0, 5, 0.1, setEmissiveIntensity, (before, after) => {
+                this.pushMaterialCommand(material, 'Emissive Intensity', before, after, setEmissiveIntensity);
             });
             container.appendChild(emissiveIntensityDiv);
         }
         
         // Opacity slider (if transparent)
         if (material.opacity !== undefined) {
-            const opacityDiv = this.createSliderControl('Opacity', material.opacity, 0, 1, 0.01, (value) => {
+            const setOpacity = (value) => {
                 material.opacity = value;
                 material.transparent = value < 1.0;
                 material.needsUpdate = true;
+            };
+            const opacityDiv = this.createSliderControl('Opacity', material.opacity, 0, 1, 0.01, setOpacity, (before, after) => {
+                this.pushMaterialCommand(material, 'Opacity', before, after, setOpacity);
             });
             container.appendChild(opacityDiv);
         }
@@ -2417,13 +4693,7 @@ class SatelliteViewer {
                 
                 removeButton.addEventListener('click', () => {
                     if (material[textureInfo.name]) {
-                        material[textureInfo.name].dispose();
-                        material[textureInfo.name] = null;
-                        material.needsUpdate = true;
-                        statusSpan.textContent = 'Not loaded';
-                        statusSpan.style.color = '#888';
-                        loadButton.textContent = 'Load Texture';
-                        if (removeButton) removeButton.remove();
+                        this.changeMaterialTexture(material, textureInfo.name, null, `Remove ${textureInfo.label}`);
                     }
                 });
             }
@@ -2432,8 +4702,9 @@ class SatelliteViewer {
             fileInput.addEventListener('change', (e) => {
                 const file = e.target.files[0];
                 if (file) {
-                    this.loadTextureForMaterial(material, textureInfo.name, file, statusSpan, loadButton, removeButton, textureDiv);
+                    this.loadTextureForMaterial(material, textureInfo.name, file, statusSpan, textureInfo.label);
                 }
+                e.target.value = '';
             });
             
             textureDiv.appendChild(fileInput);
@@ -2448,7 +4719,7 @@ class SatelliteViewer {
         return container;
     }
     
-    loadTextureForMaterial(material, mapName, file, statusSpan, loadButton, removeButton, container) {
+    loadTextureForMaterial(material, mapName, file, statusSpan, label) {
         const textureLoader = new THREE.TextureLoader();
         const reader = new FileReader();
         
@@ -2458,11 +4729,6 @@ class SatelliteViewer {
             textureLoader.load(
                 url,
                 (texture) => {
-                    // Dispose old texture if it exists
-                    if (material[mapName]) {
-                        material[mapName].dispose();
-                    }
-                    
                     // Configure texture based on map type
                     const isColorTexture = mapName === 'map' || mapName === 'emissiveMap';
                     this.configureTexture(texture, isColorTexture);
@@ -2483,44 +4749,8 @@ class SatelliteViewer {
                         texture.generateMipmaps = true;
                     }
                     
-                    // Set texture on material
-                    material[mapName] = texture;
-                    material.needsUpdate = true;
-                    
-                    // Update UI
-                    statusSpan.textContent = '✓ Loaded';
-                    statusSpan.style.color = '#4a9eff';
-                    loadButton.textContent = 'Replace Texture';
-                    
-                    // Add remove button if it doesn't exist
-                    if (!removeButton) {
-                        removeButton = document.createElement('button');
-                        removeButton.textContent = 'Remove';
-                        removeButton.className = 'material-texture-button';
-                        removeButton.style.marginTop = '4px';
-                        removeButton.style.marginLeft = '4px';
-                        removeButton.style.padding = '4px 8px';
-                        removeButton.style.fontSize = '11px';
-                        removeButton.style.background = 'rgba(255, 68, 68, 0.2)';
-                        removeButton.style.border = '1px solid #ff4444';
-                        removeButton.style.borderRadius = '4px';
-                        removeButton.style.color = '#ff4444';
-                        removeButton.style.cursor = 'pointer';
-                        
-                        removeButton.addEventListener('click', () => {
-                            if (material[mapName]) {
-                                material[mapName].dispose();
-                                material[mapName] = null;
-                                material.needsUpdate = true;
-                                statusSpan.textContent = 'Not loaded';
-                                statusSpan.style.color = '#888';
-                                loadButton.textContent = 'Load Texture';
-                                removeButton.remove();
-                            }
-                        });
-                        
-                        container.appendChild(removeButton);
-                    }
+                    // The replaced texture is kept until the history drops the load, so it can be undone
+                    this.changeMaterialTexture(material, mapName, texture, `Load ${label}`);
                     
                     console.log(`Texture loaded for ${mapName}`);
                 },
@@ -2536,8 +4766,80 @@ class SatelliteViewer {
         
         reader.readAsDataURL(file);
     }
+    
+    changeMaterialTexture(material, mapName, texture, label) {
+        const setTexture = (value) => {
+            material[mapName] = value;
+            material.needsUpdate = true;
+        };
+        const before = material[mapName] || null;
+        setTexture(texture);
+        this.refreshMaterialControls(material);
+        if (before === texture) return;
+        
+        this.retainForHistory(before);
+        this.retainForHistory(texture);
+        this.pushMaterialCommand(material, label, before, texture, setTexture, () => {
+            [before, texture].forEach((value) => {
+                if (value) this.releaseFromHistory(value, this.isTextureInUse(value));
+            });
+        });
+    }
+    
+    // Whether any material of the model still shows the texture; glTF materials can share textures
+    isTextureInUse(texture) {
+        let inUse = false;
+        if (this.satellite) {
+            this.satellite.traverse((child) => {
+                if (inUse || !child.isMesh || !child.material) return;
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                inUse = materials.some(material => Object.values(material).includes(texture));
+            });
+        }
+        return inUse;
+    }
+    
+    // Material edits are applied live by the controls; this records the finished edit.
+    // Undo/redo re-apply the value and rebuild the panels showing the material so they stay in sync.
+    // `dispose` frees what the edit kept alive for undo once the history drops it.
+    pushMaterialCommand(material, label, before, after, apply, dispose = null) {
+        if (before === after) return;
+        
+        const materialName = material.name || material.type;
+        this.history.push({
+            label: `${label} (${materialName})`,
+            undo: () => {
+                apply(before);
+                this.refreshMaterialControls(material);
+            },
+            redo: () => {
+                apply(after);
+                this.refreshMaterialControls(material);
+            },
+            dispose
+        });
+    }
+    
+    refreshMaterialControls(material) {
+        if (!this.satellite) return;
+        
+        // Drop the cached panels of every mesh using the material; open ones are rebuilt in place
+        this.outlinerAttributeCache.forEach((attributes, uuid) => {
+            const object = this.satellite.getObjectByProperty('uuid', uuid);
+            const materials = object && object.material
+                ? (Array.isArray(object.material) ? object.material : [object.material])
+                : [];
+            if (!materials.includes(material)) return;
+            
+            this.outlinerAttributeCache.delete(uuid);
+            if (attributes.parentNode) {
+                attributes.parentNode.replaceChild(this.getOutlinerAttributes(object), attributes);
+            }
+        });
+    }
 
-    createSliderControl(label, value, min, max, step, onChange) {
+    // onCommit(before, after) runs once when a drag or keyboard change is finished
+    createSliderControl(label, value, min, max, step, onChange, onCommit = null) {
         const div = document.createElement('div');
         div.className = 'outliner-attribute editable-attribute';
         
@@ -2553,11 +4855,19 @@ class SatelliteViewer {
         slider.step = step;
         slider.value = value;
         slider.className = 'material-slider';
+        let committedValue = value;
         slider.addEventListener('input', (e) => {
             const newValue = parseFloat(e.target.value);
             valueSpan.textContent = newValue.toFixed(2);
             onChange(newValue);
         });
+        slider.addEventListener('change', (e) => {
+            const newValue = parseFloat(e.target.value);
+            if (onCommit && newValue !== committedValue) {
+                onCommit(committedValue, newValue);
+            }
+            committedValue = newValue;
+        });
         div.appendChild(slider);
         
         const valueSpan = document.createElement('span');
@@ -2623,192 +4933,141 @@ class SatelliteViewer {
                 value: material.opacity.toFixed(2)
             });
         }
-        
-        // Textures
-        const textureMaps = ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap', 'emissiveMap'];
-        textureMaps.forEach(mapName => {
-            if (material[mapName]) {
-                attrs.push({
-                    label: mapName,
-                    value: 'Yes'
-                });
-            }
-        });
-        
-        return attrs;
-    }
-
-    loadModelFromFile(file) {
-        // Remove existing model if any
-        if (this.satellite) {
-            this.scene.remove(this.satellite);
-            // Dispose of materials and geometries
-            this.satellite.traverse((child) => {
-                if (child.isMesh) {
-                    if (child.geometry) child.geometry.dispose();
-                    if (child.material) {
-                        if (Array.isArray(child.material)) {
-                            child.material.forEach(mat => {
-                                if (mat.map) mat.map.dispose();
-                                if (mat.normalMap) mat.normalMap.dispose();
-                                if (mat.roughnessMap) mat.roughnessMap.dispose();
-                                if (mat.metalnessMap) mat.metalnessMap.dispose();
-                                if (mat.aoMap) mat.aoMap.dispose();
-                                if (mat.emissiveMap) mat.emissiveMap.dispose();
-                                mat.dispose();
-                            });
-                        } else {
-                            if (child.material.map) child.material.map.dispose();
-                            if (child.material.normalMap) child.material.normalMap.dispose();
-                            if (child.material.roughnessMap) child.material.roughnessMap.dispose();
-                            if (child.material.metalnessMap) child.material.metalnessMap.dispose();
-                            if (child.material.aoMap) child.material.aoMap.dispose();
-                            if (child.material.emissiveMap) child.material.emissiveMap.dispose();
-                            child.material.dispose();
-                        }
-                    }
-                }
-            });
-            this.satellite = null;
-        }
-        
-        // Clear part data
-        this.partData.clear();
-        
-        // Close any open indicators
-        this.closeIndicator();
-        
-        // Clear outliner
-        this.buildOutliner();
-        
-        // Show loading indicator
-        this.showLoadingIndicator();
-        
-        // Load new model
-        const loader = this.createGLTFLoader();
-        const fileURL = URL.createObjectURL(file);
-        
-        loader.load(
-            fileURL,
-            (gltf) => {
-                this.satellite = gltf.scene;
-                
-                // Process all textures in the loaded model
-                this.processGLTFTextures(gltf);
-                
-                // Calculate bounding box to center and scale the model
-                const box = new THREE.Box3().setFromObject(this.satellite);
-                const center = box.getCenter(new THREE.Vector3());
-                const size = box.getSize(new THREE.Vector3());
-                
-                // Center the model
-                this.satellite.position.x = -center.x;
-                this.satellite.position.y = -center.y;
-                this.satellite.position.z = -center.z;
-                
-                // Scale model larger
-                this.satellite.scale.set(40, 40, 40);
-                
-                // Convert materials to proper format for Three.js
-                this.convertMaterials(this.satellite);
-                
-                // Apply solar panel texture to specific materials
-                this.applySolarPanelTexture();
-                
-                // Add part info to meshes that have names
-                this.satellite.traverse((child) => {
-                    if (child.isMesh) {
-                        // If the mesh has a name, create default part info
-                        if (child.name && child.name.trim() !== '') {
-                            const formattedName = this.formatPartName(child.name);
-                            child.userData.partInfo = {
-                                name: formattedName,
-                                description: `Part of the ${formattedName} component.`
-                            };
-                            this.partData.set(child.uuid, child.userData.partInfo);
-                        }
-                    }
+        
+        // Textures
+        const textureMaps = ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap', 'emissiveMap'];
+        textureMaps.forEach(mapName => {
+            if (material[mapName]) {
+                attrs.push({
+                    label: mapName,
+                    value: 'Yes'
                 });
-                
-                this.setEnvironmentIntensity(this.currentEnvIntensity);
-                
-                // Add satellite to scene
-                this.scene.add(this.satellite);
-                
-                // Build outliner
-                this.buildOutliner();
-                
-                // Adjust camera position based on model size (closer zoom)
-                const newSize = new THREE.Box3().setFromObject(this.satellite).getSize(new THREE.Vector3());
-                const maxSize = Math.max(newSize.x, newSize.y, newSize.z);
-                this.camera.position.set(0, 0, -maxSize * 0.8);
-                this.controls.update();
-                
-                // Hide loading indicator after model is fully loaded
-                this.updateLoadingProgress(100);
-                setTimeout(() => {
-                    this.hideLoadingIndicator();
-                }, 300);
-                
-                // Clean up object URL
-                URL.revokeObjectURL(fileURL);
-                
-                console.log('Model loaded successfully from file:', file.name);
-            },
-            (progress) => {
-                // Loading progress
-                if (progress.lengthComputable) {
-                    const percentComplete = (progress.loaded / progress.total) * 100;
-                    this.updateLoadingProgress(percentComplete);
-                    console.log('Loading progress:', percentComplete.toFixed(2) + '%');
-                } else {
-                    console.log('Loading...', progress.loaded, 'bytes');
-                }
-            },
-            (error) => {
-                console.error('Error loading GLTF model:', error);
-                this.hideLoadingIndicator();
-                alert('Failed to load 3D model. Please check the console for details.');
-                URL.revokeObjectURL(fileURL);
             }
-        );
+        });
+        
+        return attrs;
     }
 
-    onMouseDoubleClick(event) {
-        // Get canvas container for accurate coordinate calculation
+    pickObject(event) {
         const container = document.getElementById('canvas-container');
-        if (!container) return;
+        if (!container || !this.satellite) return null;
         
+        // Mouse position in normalized device coordinates (-1 to 1)
         const containerRect = container.getBoundingClientRect();
-        const containerWidth = containerRect.width;
-        const containerHeight = containerRect.height;
+        this.mouse.x = ((event.clientX - containerRect.left) / containerRect.width) * 2 - 1;
+        this.mouse.y = -(((event.clientY - containerRect.top) / containerRect.height) * 2 - 1);
+        
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        const intersects = this.raycaster.intersectObjects([this.satellite], true);
+        
+        // The raycaster also hits hidden meshes and surfaces cut away by section planes, so skip
+        // those and locked parts
+        return intersects.find(hit => this.isPickable(hit.object) && !this.sectionPlanes.isClipped(hit.point)) || null;
+    }
+    
+    onMouseClick(event) {
+        if (this.pointerDownOnGizmo) return;
+        
+        // Ignore the click that ends an orbit or pan drag
+        if (this.pointerDownPosition) {
+            const dx = event.clientX - this.pointerDownPosition.x;
+            const dy = event.clientY - this.pointerDownPosition.y;
+            if (dx * dx + dy * dy > 25) return;
+        }
+        // The second click of a double-click is handled by onMouseDoubleClick
+        if (event.detail > 1) return;
         
-        // Calculate mouse position relative to container
-        const mouseX = event.clientX - containerRect.left;
-        const mouseY = event.clientY - containerRect.top;
+        const hit = this.pickObject(event);
         
-        // Calculate mouse position in normalized device coordinates (-1 to 1)
-        this.mouse.x = (mouseX / containerWidth) * 2 - 1;
-        this.mouse.y = -((mouseY / containerHeight) * 2 - 1);
+        // While placing a pin, the next click on the model drops it there
+        if (this.isPlacingHotspot) {
+            if (hit) this.addHotspot(hit);
+            return;
+        }
         
-        // Update raycaster
-        this.raycaster.setFromCamera(this.mouse, this.camera);
+        // In measure mode clicks place measurement points instead of selecting
+        if (this.measurements.mode !== 'none') {
+            if (hit) this.addMeasurementPoint(hit);
+            return;
+        }
+        
+        if (hit) {
+            this.selection.select(hit.object, event.shiftKey);
+        } else if (!event.shiftKey) {
+            this.selection.clear();
+        }
+    }
+    
+    onMouseHover(event) {
+        const hit = this.pickObject(event);
+        this.selection.setHovered(hit ? hit.object : null);
+        this.renderer.domElement.style.cursor = hit ? 'pointer' : '';
+    }
+    
+    syncOutlinerSelection() {
+        this.updateOutlinerRowStates();
+    }
+    
+    revealInOutliner(object) {
+        if (!this.satellite || !this.isInModel(object)) return;
+        
+        // Open the outliner section and every parent node down to the item
+        const outlinerPanel = document.getElementById('outliner-panel');
+        if (outlinerPanel) outlinerPanel.classList.remove('collapsed');
+        
+        let parent = object === this.satellite ? null : object.parent;
+        while (parent) {
+            this.outlinerExpanded.add(parent.uuid);
+            parent = parent === this.satellite ? null : parent.parent;
+        }
+        this.refreshOutliner();
+        
+        const findRow = () => this.outlinerRows.findIndex(row => row.type === 'node' && row.object === object);
+        let index = findRow();
+        if (index < 0 && this.outlinerFilter) {
+            // The search is hiding the node
+            this.clearOutlinerFilter();
+            index = findRow();
+        }
+        if (index < 0) return;
+        
+        const outlinerTree = document.getElementById('outliner-tree');
+        const rowHeight = this.getOutlinerRowHeight(this.outlinerRows[index]);
+        const top = this.outlinerOffsets[index] - (outlinerTree.clientHeight - rowHeight) / 2;
+        outlinerTree.scrollTo({ top: Math.max(0, top), behavior: 'smooth' });
+    }
+    
+    onMouseDoubleClick(event) {
+        // Double-clicks while measuring are just two measurement clicks
+        if (this.measurements.mode !== 'none') return;
         
-        // Find intersections (check the satellite and all its children)
-        const intersects = this.raycaster.intersectObjects(this.satellite ? [this.satellite] : [], true);
+        // Find the first visible, unlocked part under the pointer
+        const hit = this.pickObject(event);
         
-        if (intersects.length > 0) {
-            const clickedObject = intersects[0].object;
-            const intersectionPoint = intersects[0].point;
+        if (hit) {
+            const clickedObject = hit.object;
+            const intersectionPoint = hit.point;
             
             console.log('Double-click detected on object:', clickedObject.name || clickedObject.uuid);
             
             // Store the intersection point for positioning the popup
             this.lastIntersectionPoint = intersectionPoint.clone();
             
+            // The clicks before a double-click may already have selected the part
+            if (!this.selection.has(clickedObject)) {
+                this.selection.select(clickedObject, event.shiftKey);
+            }
+            this.revealInOutliner(clickedObject);
+            
             // Pause rotation on click
             this.isRotationPaused = true;
             
+            // In annotation mode, double-click edits the part instead of showing its popup
+            if (this.isAnnotationMode) {
+                this.openAnnotationEditor(clickedObject);
+                return;
+            }
+            
             // If clicking the same part, close the indicator
             if (this.selectedPart === clickedObject) {
                 console.log('Closing indicator (same part clicked)');
@@ -2823,7 +5082,187 @@ class SatelliteViewer {
         }
     }
 
-    showIndicator(object, intersectionPoint) {
+    setupAnnotationEditor() {
+        const modeButton = document.getElementById('annotation-mode-button');
+        const editor = document.getElementById('annotation-editor');
+        if (!modeButton || !editor) return;
+        
+        modeButton.addEventListener('click', () => {
+            this.setAnnotationMode(!this.isAnnotationMode);
+        });
+        
+        document.getElementById('annotation-add-field').addEventListener('click', () => {
+            this.addAnnotationFieldRow('', '');
+        });
+        document.getElementById('annotation-save').addEventListener('click', () => this.saveAnnotation());
+        document.getElementById('annotation-cancel').addEventListener('click', () => this.closeAnnotationEditor());
+        document.getElementById('close-annotation-editor').addEventListener('click', () => this.closeAnnotationEditor());
+        
+        // Escape cancels, Ctrl/Cmd+Enter saves
+        editor.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeAnnotationEditor();
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.saveAnnotation();
+            }
+        });
+    }
+    
+    setAnnotationMode(enabled) {
+        this.isAnnotationMode = enabled;
+        
+        const modeButton = document.getElementById('annotation-mode-button');
+        if (modeButton) {
+            modeButton.textContent = enabled ? '✏️ Edit Annotations: On' : '✏️ Edit Annotations: Off';
+            modeButton.classList.toggle('active', enabled);
+        }
+        
+        if (enabled) {
+            this.closeIndicator();
+        } else {
+            this.closeAnnotationEditor();
+        }
+    }
+    
+    openAnnotationEditor(object) {
+        const editor = document.getElementById('annotation-editor');
+        if (!editor || !object) return;
+        
+        this.annotationTarget = object;
+        
+        const partInfo = object.userData.partInfo || this.partData.get(object.uuid) || {
+            name: this.formatPartName(object.name) || '',
+            description: ''
+        };
+        
+        document.getElementById('annotation-editor-mesh').textContent = `Mesh: ${object.name || object.uuid}`;
+        document.getElementById('annotation-name').value = partInfo.name || '';
+        document.getElementById('annotation-description').value = partInfo.description || '';
+        document.getElementById('annotation-body').value = partInfo.body || '';
+        
+        // Custom fields are edited as label/value rows and stored as the card's specs
+        document.getElementById('annotation-fields').innerHTML = '';
+        const specs = partInfo.specs && typeof partInfo.specs === 'object' ? partInfo.specs : {};
+        Object.keys(specs).forEach(key => this.addAnnotationFieldRow(key, specs[key]));
+        
+        editor.classList.remove('hidden');
+        
+        // Pause rotation while editing
+        this.isRotationPaused = true;
+        document.getElementById('annotation-name').focus();
+    }
+    
+    addAnnotationFieldRow(key, value) {
+        const fields = document.getElementById('annotation-fields');
+        if (!fields) return;
+        
+        const row = document.createElement('div');
+        row.className = 'annotation-field-row';
+        
+        const keyInput = document.createElement('input');
+        keyInput.type = 'text';
+        keyInput.className = 'annotation-input annotation-field-key';
+        keyInput.placeholder = 'Field (e.g. mass)';
+        keyInput.value = key;
+        
+        const valueInput = document.createElement('input');
+        valueInput.type = 'text';
+        valueInput.className = 'annotation-input annotation-field-value';
+        valueInput.placeholder = 'Value';
+        valueInput.value = value === undefined || value === null ? '' : String(value);
+        
+        const removeButton = document.createElement('button');
+        removeButton.className = 'annotation-field-remove';
+        removeButton.textContent = '×';
+        removeButton.title = 'Remove field';
+        removeButton.addEventListener('click', () => row.remove());
+        
+        row.appendChild(keyInput);
+        row.appendChild(valueInput);
+        row.appendChild(removeButton);
+        fields.appendChild(row);
+        
+        if (!key) keyInput.focus();
+    }
+    
+    saveAnnotation() {
+        const object = this.annotationTarget;
+        if (!object) return;
+        
+        const name = document.getElementById('annotation-name').value.trim();
+        const description = document.getElementById('annotation-description').value.trim();
+        const body = document.getElementById('annotation-body').value.trim();
+        
+        const specs = {};
+        document.querySelectorAll('#annotation-fields .annotation-field-row').forEach(row => {
+            const key = row.querySelector('.annotation-field-key').value.trim();
+            const value = row.querySelector('.annotation-field-value').value.trim();
+            if (key) specs[key] = value;
+        });
+        
+        const existing = object.userData.partInfo || this.partData.get(object.uuid) || {};
+        const partInfo = {
+            ...existing,
+            name: name || this.formatPartName(object.name) || 'Part',
+            description: description
+        };
+        
+        // Drop cleared fields rather than saving empty values
+        if (Object.keys(specs).length > 0) {
+            partInfo.specs = specs;
+        } else {
+            delete partInfo.specs;
+        }
+        if (body) {
+            partInfo.body = body;
+        } else {
+            delete partInfo.body;
+        }
+        
+        const before = object.userData.editedPartInfo || null;
+        this.setAnnotation(object, partInfo);
+        this.history.push({
+            label: `Annotate ${partInfo.name}`,
+            undo: () => this.setAnnotation(object, before),
+            redo: () => this.setAnnotation(object, partInfo)
+        });
+        
+        console.log('Annotation saved for:', object.name || object.uuid, partInfo);
+        this.closeAnnotationEditor();
+    }
+    
+    // User edits are kept apart from catalog data, so applying a catalog later doesn't replace them.
+    // `null` drops the edit and goes back to the catalog's part info.
+    setAnnotation(object, partInfo) {
+        if (partInfo) {
+            object.userData.editedPartInfo = partInfo;
+        } else {
+            delete object.userData.editedPartInfo;
+        }
+        
+        const current = object.name && object.name.trim() !== '' ? this.resolvePartInfo(object) : partInfo;
+        if (current) {
+            object.userData.partInfo = current;
+            this.partData.set(object.uuid, current);
+        } else {
+            delete object.userData.partInfo;
+            this.partData.delete(object.uuid);
+        }
+    }
+    
+    closeAnnotationEditor() {
+        const editor = document.getElementById('annotation-editor');
+        if (editor) editor.classList.add('hidden');
+        this.annotationTarget = null;
+        
+        // Resume rotation unless a popup is still open
+        if (!this.selectedObject) {
+            this.isRotationPaused = false;
+        }
+    }
+
+    showIndicator(object, intersectionPoint, partInfoOverride = null) {
         this.selectedPart = object;
         this.selectedObject = object;
         
@@ -2835,7 +5274,7 @@ class SatelliteViewer {
         // Pause rotation when indicator is shown
         this.isRotationPaused = true;
         
-        const partInfo = object.userData.partInfo || this.partData.get(object.uuid);
+        const partInfo = partInfoOverride || object.userData.partInfo || this.partData.get(object.uuid);
         
         console.log('showIndicator called:', {
             objectName: object.name,
@@ -2844,14 +5283,11 @@ class SatelliteViewer {
         });
         
         if (partInfo) {
-            // Format the name for display
-            const displayName = this.formatPartName(partInfo.name);
             const titleElement = document.getElementById('indicator-title');
-            const descElement = document.getElementById('indicator-description');
             const overlay = document.getElementById('indicator-overlay');
             
-            if (titleElement) titleElement.textContent = displayName;
-            if (descElement) descElement.textContent = partInfo.description;
+            if (titleElement) titleElement.textContent = partInfo.name;
+            this.renderPartInfoCard(partInfo);
             
             // Initial update of line and popup position
             this.updateIndicatorPosition();
@@ -2867,393 +5303,505 @@ class SatelliteViewer {
         }
     }
 
-    showPartPreset(partName) {
+    renderPartInfoCard(partInfo) {
+        const descElement = document.getElementById('indicator-description');
+        const tabsElement = document.getElementById('indicator-tabs');
+        const sectionsElement = document.getElementById('indicator-sections');
+        
+        if (descElement) descElement.textContent = partInfo.description || '';
+        if (!tabsElement || !sectionsElement) return;
+        
+        tabsElement.innerHTML = '';
+        sectionsElement.innerHTML = '';
+        
+        const sections = [];
+        
+        // Overview: the description plus the markdown body
+        const overview = document.createElement('div');
+        if (partInfo.body) {
+            const body = document.createElement('div');
+            body.className = 'indicator-markdown';
+            body.innerHTML = renderMarkdown(partInfo.body);
+            overview.appendChild(body);
+        }
+        sections.push({ id: 'overview', label: 'Overview', element: overview });
+        
+        // Specs: known fields first, then any custom labels
+        const specs = partInfo.specs && typeof partInfo.specs === 'object' ? partInfo.specs : null;
+        if (specs && Object.keys(specs).length > 0) {
+            const specLabels = { mass: 'Mass', dimensions: 'Dimensions', material: 'Material', manufacturer: 'Manufacturer' };
+            const keys = [
+                ...Object.keys(specLabels).filter(key => specs[key] !== undefined && specs[key] !== ''),
+                ...Object.keys(specs).filter(key => !specLabels[key])
+            ];
+            
+            const table = document.createElement('table');
+            table.className = 'indicator-specs';
+            keys.forEach(key => {
+                const row = document.createElement('tr');
+                const label = document.createElement('th');
+                label.textContent = specLabels[key] || key;
+                const value = document.createElement('td');
+                value.textContent = String(specs[key]);
+                row.appendChild(label);
+                row.appendChild(value);
+                table.appendChild(row);
+            });
+            sections.push({ id: 'specs', label: 'Specs', element: table });
+        }
+        
+        // Images with optional captions
+        if (Array.isArray(partInfo.images) && partInfo.images.length > 0) {
+            const gallery = document.createElement('div');
+            gallery.className = 'indicator-images';
+            partInfo.images.forEach(image => {
+                const figure = document.createElement('figure');
+                const img = document.createElement('img');
+                img.src = image.src;
+                img.alt = image.caption || partInfo.name;
+                img.loading = 'lazy';
+                figure.appendChild(img);
+                if (image.caption) {
+                    const caption = document.createElement('figcaption');
+                    caption.textContent = image.caption;
+                    figure.appendChild(caption);
+                }
+                gallery.appendChild(figure);
+            });
+            sections.push({ id: 'images', label: 'Images', element: gallery });
+        }
+        
+        // External links open in a new tab
+        if (Array.isArray(partInfo.links) && partInfo.links.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'indicator-links';
+            partInfo.links.forEach(link => {
+                const url = typeof link === 'string' ? link : link.url;
+                if (!url || !/^https?:\/\//i.test(url)) return;
+                const item = document.createElement('li');
+                const anchor = document.createElement('a');
+                anchor.href = url;
+                anchor.target = '_blank';
+                anchor.rel = 'noopener noreferrer';
+                anchor.textContent = (typeof link === 'object' && link.label) || url;
+                item.appendChild(anchor);
+                list.appendChild(item);
+            });
+            if (list.children.length > 0) {
+                sections.push({ id: 'links', label: 'Links', element: list });
+            }
+        }
+        
+        const showSection = (sectionId) => {
+            sections.forEach(section => {
+                const isActive = section.id === sectionId;
+                section.element.classList.toggle('hidden', !isActive);
+                if (section.tab) section.tab.classList.toggle('active', isActive);
+            });
+            // The description belongs to the overview
+            if (descElement) descElement.classList.toggle('hidden', sectionId !== 'overview');
+        };
+        
+        sections.forEach(section => {
+            section.element.classList.add('indicator-section');
+            sectionsElement.appendChild(section.element);
+        });
+        
+        // Tabs are only worth showing when there is more than the overview
+        if (sections.length > 1) {
+            sections.forEach(section => {
+                const tab = document.createElement('button');
+                tab.className = 'indicator-tab';
+                tab.textContent = section.label;
+                tab.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    showSection(section.id);
+                });
+                section.tab = tab;
+                tabsElement.appendChild(tab);
+            });
+            tabsElement.classList.remove('hidden');
+        } else {
+            tabsElement.classList.add('hidden');
+        }
+        
+        showSection('overview');
+    }
+
+    showPartPreset(presetId) {
         if (!this.satellite) return;
         
-        // Normalize part name for matching (handle variations)
-        const normalizedName = partName.toLowerCase().trim();
+        const preset = this.partCatalog.getPreset(presetId);
+        if (!preset || !preset.enabled) return;
         
-        // Disable Solar Arrays for now - do nothing
-        if (normalizedName === 'solar arrays') {
-            return;
+        const matchingObjects = this.findPresetObjects(preset);
+        
+        // Presets can open the exploded view to show parts hidden inside the assembly
+        if (preset.view.explode !== undefined) {
+            this.changeExplodeAmount(preset.view.explode, `Explode for ${preset.label}`, preset.view.duration || 1500);
+        }
+        
+        // Focus camera on matching parts if any found
+        if (matchingObjects.length > 0) {
+            // Measured where the parts will be once the exploded view has settled
+            const box = this.explodedView.withAmount(this.explodedView.targetAmount, () => {
+                const bounds = new THREE.Box3();
+                matchingObjects.forEach(obj => bounds.expandByObject(obj));
+                return bounds;
+            });
+            
+            if (!box.isEmpty()) {
+                const center = box.getCenter(new THREE.Vector3());
+                const size = box.getSize(new THREE.Vector3());
+                const maxDim = Math.max(size.x, size.y, size.z);
+                
+                const view = preset.view;
+                const distance = maxDim * (view.distance || 2.2);
+                const direction = new THREE.Vector3().fromArray(view.direction || [-0.5, 0.2, -1]);
+                const targetPosition = center.clone().add(direction.clone().multiplyScalar(distance));
+                const lookAtPoint = center;
+                
+                // Label the popup with the preset's group rather than the individual mesh
+                const group = this.partCatalog.getGroup(preset.group);
+                const presetInfo = {
+                    name: (group && group.name) || preset.label,
+                    description: (group && group.description) || `Part of the ${preset.label} component.`,
+                    group: preset.group || null,
+                    ...this.partCatalog.getDetails(group)
+                };
+                const selectedObject = this.pickPresetFocusObject(preset, matchingObjects);
+                
+                // Surface-anchored popups wait until the camera arrives so the visible face is known
+                if (view.showInfo !== false && view.anchor !== 'surface') {
+                    this.showIndicator(selectedObject, center.clone(), presetInfo);
+                }
+                
+                // Smooth camera transition, optionally sweeping around the part while closing in
+                const orbit = view.orbit || null;
+                const positionAt = orbit ? (t, startPosition) => {
+                    const angle = (1 - t) * THREE.MathUtils.degToRad(orbit.degrees || 45);
+                    const startScale = orbit.startScale || 1.8;
+                    const endScale = orbit.endScale || 1.2;
+                    const radius = distance * (startScale + (endScale - startScale) * t);
+                    const orbitOffset = direction.clone()
+                        .applyAxisAngle(new THREE.Vector3(0, 1, 0), -angle)
+                        .multiplyScalar(radius);
+                    return startPosition.clone().lerp(center.clone().add(orbitOffset), t);
+                } : null;
+                
+                this.cameraAnimator.animateTo({
+                    position: targetPosition,
+                    target: lookAtPoint,
+                    duration: view.duration || 1500,
+                    easing: view.easing,
+                    positionAt,
+                    onComplete: () => {
+                        if (view.showInfo !== false && view.anchor === 'surface' && this.currentPreset === preset.id) {
+                            this.showIndicator(selectedObject, this.getVisibleSurfacePoint(selectedObject), presetInfo);
+                        }
+                    }
+                });
+            }
+        }
+        
+        this.currentPreset = preset.id;
+    }
+    
+    findPresetObjects(preset) {
+        const matchingObjects = [];
+        const pattern = this.compilePresetPattern(preset.pattern);
+        const label = preset.label.toLowerCase();
+        
+        this.satellite.traverse((child) => {
+            if (!child.isMesh) return;
+            
+            const partInfo = child.userData.partInfo || this.partData.get(child.uuid);
+            let matches;
+            if (preset.group) {
+                matches = !!partInfo && partInfo.group === preset.group;
+            } else if (pattern) {
+                matches = pattern.test(child.name);
+            } else {
+                // No catalog grouping - fall back to matching the display name
+                const name = partInfo ? partInfo.name : child.name;
+                matches = !!name && name.toLowerCase().includes(label);
+            }
+            
+            if (matches) {
+                matchingObjects.push(child);
+            }
+        });
+        
+        return matchingObjects;
+    }
+    
+    // Catalog patterns come from model files, so a malformed one is skipped instead of breaking the preset
+    compilePresetPattern(pattern) {
+        if (!pattern) return null;
+        try {
+            return new RegExp(pattern, 'i');
+        } catch (error) {
+            console.warn(`Invalid preset pattern "${pattern}":`, error);
+            return null;
+        }
+    }
+    
+    pickPresetFocusObject(preset, matchingObjects) {
+        const view = preset.view;
+        
+        // Prefer a specific mesh named by the preset (e.g. the main nozzle of a group)
+        if (view.focusPart) {
+            const focusPattern = this.compilePresetPattern(view.focusPart);
+            const focusObject = focusPattern && matchingObjects.find(obj => obj.name && focusPattern.test(obj.name));
+            if (focusObject) return focusObject;
+        }
+        
+        // Pick the part that's "downwards and to the left" (lowest Y, leftmost X)
+        if (view.focus === 'lowest-left' && matchingObjects.length > 1) {
+            const positions = matchingObjects.map(obj => {
+                const objCenter = new THREE.Box3().setFromObject(obj).getCenter(new THREE.Vector3());
+                return { obj, y: objCenter.y, x: objCenter.x };
+            });
+            
+            // Sort by lowest Y first, then by leftmost X
+            positions.sort((a, b) => {
+                const yDiff = Math.abs(a.y - b.y);
+                if (yDiff > 0.1) {
+                    return a.y - b.y; // Lower Y first (downwards)
+                }
+                return a.x - b.x; // Lower X (more left) first
+            });
+            
+            return positions[0].obj;
+        }
+        
+        return matchingObjects[0];
+    }
+    
+    getVisibleSurfacePoint(object) {
+        const objBox = new THREE.Box3().setFromObject(object);
+        const size = objBox.getSize(new THREE.Vector3());
+        const center = objBox.getCenter(new THREE.Vector3());
+        
+        // Direction from the part center to the camera tells which face is visible
+        const toCamera = this.camera.position.clone().sub(center).normalize();
+        const absX = Math.abs(toCamera.x);
+        const absY = Math.abs(toCamera.y);
+        const absZ = Math.abs(toCamera.z);
+        
+        // Place point on the face closest to the camera
+        const surfacePoint = center.clone();
+        if (absX >= absY && absX >= absZ) {
+            surfacePoint.x += toCamera.x > 0 ? size.x * 0.48 : -size.x * 0.48;
+        } else if (absY >= absX && absY >= absZ) {
+            surfacePoint.y += toCamera.y > 0 ? size.y * 0.48 : -size.y * 0.48;
+        } else {
+            surfacePoint.z += toCamera.z > 0 ? size.z * 0.48 : -size.z * 0.48;
+        }
+        
+        return surfacePoint;
+    }
+    
+    resetPartPreset() {
+        // Just reset the preset state, no opacity changes needed
+        this.currentPreset = null;
+    }
+    
+    getLinkedModelPath(link) {
+        if (!link || !link.model) return null;
+        
+        // Only models offered in the Replace Model menu can be opened from a link
+        const options = Array.from(document.querySelectorAll('.replace-model-option'));
+        if (!options.some(option => option.getAttribute('data-model') === link.model)) {
+            console.warn(`Ignoring linked model that is not in the model menu: ${link.model}`);
+            return null;
+        }
+        return link.model;
+    }
+    
+    getViewLinkState() {
+        const link = {
+            camera: {
+                position: this.camera.position.toArray(),
+                target: this.controls.target.toArray(),
+                fov: this.camera.fov
+            },
+            // The model turns back and forth while idle, so the link carries where in the cycle it is
+            spin: this.rotationTime % IDLE_ROTATION_CYCLE,
+            lighting: {}
+        };
+        if (this.modelPath) link.model = this.modelPath;
+        
+        const part = this.selection.primary;
+        if (part && this.isInModel(part)) link.part = getNodePath(this.satellite, part);
+        if (this.currentPreset) link.preset = this.currentPreset;
+        
+        if (this.lightingDefaults) {
+            this.captureLightingValues().forEach((value, control) => {
+                if (value !== this.lightingDefaults.get(control)) link.lighting[control.id] = value;
+            });
+        }
+        
+        return link;
+    }
+    
+    copyViewLink() {
+        if (!this.modelPath) {
+            alert('This model was loaded from a file on your computer, so the link will open the default model with this view.');
         }
-        const matchPatterns = {
-            'crew module': ['crew module', 'heat shield'],
-            'european service': ['european service', 'european service module', 'mid02', 'mid17', 'mid02 white', 'mid17 white'],
-            'solar arrays': ['solar arrays', 'panel', 'solar panel'],
-            'exhaust': ['exhaust', 'exhaust01', 'exhaust02', 'exhaust01 exhaust', 'exhaust02 exhaust']
+        
+        const url = formatViewLink(window.location, this.getViewLinkState());
+        const copyLinkButton = document.getElementById('copy-link-button');
+        const showCopied = () => {
+            if (!copyLinkButton) return;
+            copyLinkButton.textContent = '✓ Link Copied';
+            setTimeout(() => {
+                copyLinkButton.textContent = '🔗 Copy Link';
+            }, 1500);
         };
         
-        // Find matching pattern
-        let patternsToMatch = [];
-        for (const [key, patterns] of Object.entries(matchPatterns)) {
-            if (patterns.some(p => normalizedName.includes(p.toLowerCase()))) {
-                patternsToMatch = patterns;
-                break;
-            }
+        // The clipboard API needs a secure context; otherwise let the user copy it by hand
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(url).then(showCopied).catch((error) => {
+                console.error('Error copying link:', error);
+                window.prompt('Copy this link:', url);
+            });
+        } else {
+            window.prompt('Copy this link:', url);
+        }
+    }
+    
+    openViewLink(link) {
+        if (!link) return;
+        
+        const modelPath = this.getLinkedModelPath(link);
+        if (modelPath && modelPath !== this.modelPath) {
+            this.pendingViewLink = link;
+            this.loadModelByPath(modelPath);
+        } else if (this.satellite) {
+            this.applyViewLink(link);
+        } else {
+            this.pendingViewLink = link;
+        }
+    }
+    
+    applyViewLink(link, gltf = null) {
+        // Ignore links whose model was replaced while its part catalog was loading
+        if (gltf && gltf.scene !== this.satellite) return;
+        
+        // Lighting controls the link doesn't mention go back to their defaults
+        if (this.lightingDefaults) {
+            const values = new Map();
+            this.lightingDefaults.forEach((value, control) => {
+                const linked = link.lighting ? link.lighting[control.id] : undefined;
+                if (linked === undefined) {
+                    values.set(control, value);
+                } else {
+                    values.set(control, control.type === 'checkbox' ? linked === 'true' : linked);
+                }
+            });
+            this.applyLightingValues(values);
+        }
+        
+        if (link.preset && this.partCatalog.getPreset(link.preset)) {
+            this.showPartPreset(link.preset);
+        } else {
+            this.resetPartPreset();
+        }
+        document.querySelectorAll('#preset-buttons .preset-button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.part === this.currentPreset);
+        });
+        
+        const part = link.part ? findNodeByPath(this.satellite, link.part) : null;
+        if (part) {
+            this.selection.select(part);
+        } else if (link.part) {
+            console.warn(`Linked part not found in this model: ${link.part}`);
+        }
+        
+        if (link.spin !== undefined) {
+            this.rotationTime = link.spin;
+            this.applyIdleRotation();
         }
         
-        if (patternsToMatch.length === 0) {
-            patternsToMatch = [normalizedName];
+        // The linked camera wins over the preset's own camera move
+        if (link.camera) {
+            this.cameraAnimator.animateTo({
+                position: new THREE.Vector3().fromArray(link.camera.position),
+                target: new THREE.Vector3().fromArray(link.camera.target),
+                fov: link.camera.fov,
+                duration: 0
+            });
         }
+    }
+    
+    setHomeView(position, target = new THREE.Vector3(0, 0, 0), fov = this.homeView.fov) {
+        this.homeView = { position: position.clone(), target: target.clone(), fov };
+    }
+    
+    resetView(duration = 1000) {
+        this.cameraAnimator.animateTo({ ...this.homeView, duration });
+    }
+    
+    getFramingView(objects, padding = 1.2) {
+        // Frame where the parts end up if the exploded view is still moving
+        const box = this.explodedView.withAmount(this.explodedView.targetAmount, () => {
+            const bounds = new THREE.Box3();
+            objects.forEach(obj => bounds.expandByObject(obj));
+            return bounds;
+        });
+        if (box.isEmpty()) return null;
         
-        const matchingObjects = [];
+        const sphere = box.getBoundingSphere(new THREE.Sphere());
+        const radius = Math.max(sphere.radius, 0.001);
         
-        // Traverse all meshes and find matching parts
-        this.satellite.traverse((child) => {
-            if (child.isMesh) {
-                const partInfo = child.userData.partInfo || this.partData.get(child.uuid);
-                if (partInfo) {
-                    const formattedName = this.formatPartName(partInfo.name).toLowerCase();
-                    const matches = patternsToMatch.some(pattern => 
-                        formattedName.includes(pattern.toLowerCase())
-                    );
-                    
-                    if (matches) {
-                        matchingObjects.push(child);
-                    }
-                } else {
-                    // If no part info, check the mesh name
-                    const meshName = child.name.toLowerCase();
-                    const matches = patternsToMatch.some(pattern => 
-                        meshName.includes(pattern.toLowerCase())
-                    );
-                    
-                    if (matches) {
-                        matchingObjects.push(child);
-                    }
-                }
-            }
-        });
+        // Fit the bounding sphere in the narrower of the vertical and horizontal field of view
+        const verticalFov = THREE.MathUtils.degToRad(this.camera.fov);
+        const horizontalFov = 2 * Math.atan(Math.tan(verticalFov / 2) * this.camera.aspect);
+        const fitFov = Math.min(verticalFov, horizontalFov);
+        const distance = Math.min((radius * padding) / Math.sin(fitFov / 2), this.controls.maxDistance);
         
-        // Focus camera on matching parts if any found
-        if (matchingObjects.length > 0) {
-            const box = new THREE.Box3();
-            matchingObjects.forEach(obj => {
-                box.expandByObject(obj);
-            });
-            
-            if (!box.isEmpty()) {
-                const center = box.getCenter(new THREE.Vector3());
-                const size = box.getSize(new THREE.Vector3());
-                const maxDim = Math.max(size.x, size.y, size.z);
-                
-                // For Crew Module, European Service, Solar Arrays, and Exhaust, show popup label and focus without getting too close
-                if (normalizedName === 'crew module' || normalizedName === 'european service' || normalizedName === 'solar arrays' || normalizedName === 'exhaust') {
-                    // Use a closer distance for better view
-                    const distance = maxDim * 2.2; // Closer to the object
-                    
-                    let selectedObject = matchingObjects[0];
-                    
-                    // For Exhaust, try to find the main exhaust nozzle (Exhaust01 or Exhaust02)
-                    if (normalizedName === 'exhaust' && matchingObjects.length > 1) {
-                        // Try to find Exhaust01 or Exhaust02 by name
-                        let mainExhaust = matchingObjects.find(obj => {
-                            const objName = obj.name ? obj.name.toLowerCase() : '';
-                            return objName.includes('exhaust01') || objName.includes('exhaust02');
-                        });
-                        
-                        if (mainExhaust) {
-                            selectedObject = mainExhaust;
-                        }
-                    }
-                    
-                    // For Solar Arrays, find the lower-left panel (lowest Y, leftmost X) to match the image
-                    if (normalizedName === 'solar arrays' && matchingObjects.length > 0) {
-                        if (matchingObjects.length === 1) {
-                            selectedObject = matchingObjects[0];
-                        } else {
-                            // Find the panel that's "downwards and to the left" (lowest Y, leftmost X)
-                            const positions = matchingObjects.map(obj => {
-                                const box = new THREE.Box3().setFromObject(obj);
-                                const objCenter = box.getCenter(new THREE.Vector3());
-                                obj.localToWorld(objCenter);
-                                return { obj, center: objCenter, y: objCenter.y, x: objCenter.x };
-                            });
-                            
-                            // Sort by lowest Y first, then by leftmost X
-                            positions.sort((a, b) => {
-                                const yDiff = Math.abs(a.y - b.y);
-                                if (yDiff > 0.1) {
-                                    return a.y - b.y; // Lower Y first (downwards)
-                                }
-                                return a.x - b.x; // Lower X (more left) first
-                            });
-                            
-                            selectedObject = positions[0].obj;
-                        }
-                    }
-                    
-                    // Define camera position first (needed for Solar Arrays calculation)
-                    let offset;
-                    if (normalizedName === 'solar arrays') {
-                        // For Solar Arrays: match the reference image - central view, slightly angled
-                        // Camera positioned to show satellite centrally with lower-left panel in focus
-                        offset = new THREE.Vector3(-0.3, 0.2, -1.2).multiplyScalar(distance);
-                    } else if (normalizedName === 'exhaust') {
-                        // For Exhaust: show the opposite side with gentle rotation approach
-                        // Start further away and rotate around
-                        offset = new THREE.Vector3(0.4, 0.15, 1.1).multiplyScalar(distance);
-                    } else if (normalizedName === 'crew module') {
-                        // For Crew Module: front view with circular structure visible on the right
-                        offset = new THREE.Vector3(-0.4, 0.15, -1.1).multiplyScalar(distance);
-                    } else if (normalizedName === 'european service') {
-                        // For European Service: right side view, rotated 10 degrees to the left
-                        const angle10Deg = -Math.PI / 18; // -10 degrees in radians (opposite direction)
-                        const cos10 = Math.cos(angle10Deg);
-                        const sin10 = Math.sin(angle10Deg);
-                        // Rotate the right-side position (1, 0, 0) 10 degrees counter-clockwise around Y-axis
-                        offset = new THREE.Vector3(cos10, 0.15, sin10).multiplyScalar(distance);
-                    } else {
-                        // Default fallback
-                        offset = new THREE.Vector3(-0.5, 0.2, -1).multiplyScalar(distance);
-                    }
-                    const targetPosition = center.clone().add(offset);
-                    const lookAtPoint = center;
-                    
-                    // Show the indicator popup for the selected part
-                    if (selectedObject) {
-                        // Calculate the intersection point on the actual part surface (in world coordinates)
-                        let intersectionPoint = center.clone();
-                        
-                        if (normalizedName === 'solar arrays') {
-                            // For solar arrays, get a point on the visible surface of the panel
-                            // Calculate based on target camera position
-                            const objBox = new THREE.Box3().setFromObject(selectedObject);
-                            const size = objBox.getSize(new THREE.Vector3());
-                            const localCenter = objBox.getCenter(new THREE.Vector3());
-                            
-                            // Use the target camera position (where camera will be) to determine visible face
-                            const targetCameraPos = targetPosition.clone();
-                            const cameraLocalPos = targetCameraPos.clone();
-                            selectedObject.worldToLocal(cameraLocalPos);
-                            
-                            // Calculate direction from panel center to target camera
-                            const toCamera = cameraLocalPos.clone().sub(localCenter);
-                            const toCameraNormalized = toCamera.normalize();
-                            
-                            // Find the face closest to the camera and place point on that surface
-                            const surfacePoint = localCenter.clone();
-                            
-                            // Determine which face is most visible by checking the largest component
-                            const absX = Math.abs(toCameraNormalized.x);
-                            const absY = Math.abs(toCameraNormalized.y);
-                            const absZ = Math.abs(toCameraNormalized.z);
-                            
-                            if (absX >= absY && absX >= absZ) {
-                                // X-axis face is most visible
-                                surfacePoint.x += toCameraNormalized.x > 0 ? size.x * 0.48 : -size.x * 0.48;
-                            } else if (absY >= absX && absY >= absZ) {
-                                // Y-axis face is most visible
-                                surfacePoint.y += toCameraNormalized.y > 0 ? size.y * 0.48 : -size.y * 0.48;
-                            } else {
-                                // Z-axis face is most visible
-                                surfacePoint.z += toCameraNormalized.z > 0 ? size.z * 0.48 : -size.z * 0.48;
-                            }
-                            
-                            // Convert to world coordinates
-                            intersectionPoint = surfacePoint.clone();
-                            selectedObject.localToWorld(intersectionPoint);
-                        }
-                        // For other parts, use the overall center (already in world coordinates)
-                        
-                        // Ensure we have a valid object with part info
-                        // For preset parts, always set clean part info to override any existing names
-                        let partName = 'Part';
-                        let partDescription = 'Part component.';
-                        
-                        if (normalizedName === 'solar arrays') {
-                            partName = 'Solar Arrays';
-                            partDescription = 'Part of the Solar Arrays component.';
-                        } else if (normalizedName === 'exhaust') {
-                            partName = 'Exhaust';
-                            partDescription = 'Part of the Exhaust component.';
-                        } else if (normalizedName === 'crew module') {
-                            partName = 'Crew Module';
-                            partDescription = 'Part of the Crew Module component.';
-                        } else if (normalizedName === 'european service') {
-                            partName = 'European Service';
-                            partDescription = 'Part of the European Service component.';
-                        }
-                        
-                        // Always set clean part info for preset parts to ensure correct label
-                        selectedObject.userData.partInfo = {
-                            name: partName,
-                            description: partDescription
-                        };
-                        
-                        // For Solar Arrays, delay showing popup until camera animation completes
-                        if (normalizedName === 'solar arrays') {
-                            // Wait for camera animation to complete, then calculate accurate intersection point
-                            setTimeout(() => {
-                                // Calculate accurate intersection point on the visible panel surface
-                                const objBox = new THREE.Box3().setFromObject(selectedObject);
-                                const size = objBox.getSize(new THREE.Vector3());
-                                const localCenter = objBox.getCenter(new THREE.Vector3());
-                                
-                                // Get the current camera position in world space
-                                const cameraWorldPos = this.camera.position.clone();
-                                
-                                // Convert camera position to object's local space
-                                const cameraLocalPos = cameraWorldPos.clone();
-                                selectedObject.worldToLocal(cameraLocalPos);
-                                
-                                // Calculate direction from panel center to camera (to find which face is visible)
-                                const toCamera = cameraLocalPos.clone().sub(localCenter);
-                                const toCameraNormalized = toCamera.normalize();
-                                
-                                // Find which face is most visible (the one facing the camera)
-                                const absX = Math.abs(toCameraNormalized.x);
-                                const absY = Math.abs(toCameraNormalized.y);
-                                const absZ = Math.abs(toCameraNormalized.z);
-                                
-                                // Place point on the front-facing surface (the face closest to camera)
-                                const surfacePoint = localCenter.clone();
-                                
-                                // Determine the most visible face and place point on that surface
-                                // Use the face that has the largest component in the direction to camera
-                                if (absX >= absY && absX >= absZ) {
-                                    // X-axis face is most visible - place point on the face pointing toward camera
-                                    surfacePoint.x += toCameraNormalized.x > 0 ? size.x * 0.48 : -size.x * 0.48;
-                                } else if (absY >= absX && absY >= absZ) {
-                                    // Y-axis face is most visible
-                                    surfacePoint.y += toCameraNormalized.y > 0 ? size.y * 0.48 : -size.y * 0.48;
-                                } else {
-                                    // Z-axis face is most visible
-                                    surfacePoint.z += toCameraNormalized.z > 0 ? size.z * 0.48 : -size.z * 0.48;
-                                }
-                                
-                                // Convert to world coordinates
-                                const finalIntersection = surfacePoint.clone();
-                                selectedObject.localToWorld(finalIntersection);
-                                
-                                // Show indicator with the accurately calculated point
-                                this.showIndicator(selectedObject, finalIntersection);
-                            }, 1600); // Wait for camera animation to complete (1500ms + buffer)
-                        } else {
-                            // Show the indicator immediately for other parts
-                            this.showIndicator(selectedObject, intersectionPoint);
-                        }
-                    }
-                    
-                    // Smooth camera transition
-                    const startPosition = this.camera.position.clone();
-                    const startTarget = this.controls.target.clone();
-                    const startTime = performance.now();
-                    const duration = normalizedName === 'exhaust' ? 2500 : 1500; // Longer duration for smoother transitions
-                    
-                    const animateCamera = () => {
-                        const elapsed = performance.now() - startTime;
-                        const progress = Math.min(elapsed / duration, 1);
-                        
-                        // Smooth ease in-out for all animations
-                        const easeProgress = progress < 0.5
-                            ? 2 * progress * progress // Ease in (quadratic)
-                            : 1 - Math.pow(-2 * progress + 2, 3) / 2; // Ease out (cubic)
-                        
-                        if (normalizedName === 'exhaust') {
-                            // For Exhaust: gentle rotation approach - don't fly directly into the part
-                            // Start further away and gradually rotate around while getting closer
-                            const angle = easeProgress * Math.PI * 0.25; // Rotate 45 degrees around
-                            const startRadius = distance * 1.8; // Start further away
-                            const endRadius = distance * 1.2; // End closer but not too close
-                            const currentRadius = startRadius + (endRadius - startRadius) * easeProgress;
-                            
-                            // Calculate position on circular path around the object
-                            const currentOffset = new THREE.Vector3(
-                                Math.sin(angle) * 0.4 + Math.cos(angle) * 0.1,
-                                0.15,
-                                Math.cos(angle) * 1.1 - Math.sin(angle) * 0.1
-                            ).multiplyScalar(currentRadius);
-                            
-                            const currentTarget = center.clone().add(currentOffset);
-                            this.camera.position.lerpVectors(startPosition, currentTarget, easeProgress);
-                            this.controls.target.lerp(lookAtPoint, easeProgress);
-                        } else {
-                            // For other parts: smooth direct approach
-                            this.camera.position.lerpVectors(startPosition, targetPosition, easeProgress);
-                            this.controls.target.lerp(lookAtPoint, easeProgress);
-                        }
-                        
-                        // Update controls
-                        this.controls.update();
-                        
-                        if (progress < 1) {
-                            requestAnimationFrame(animateCamera);
-                        }
-                    };
-                    
-                    animateCamera();
-                } else {
-                    // For other parts, use the existing logic
-                    const distance = maxDim * 2.5; // Slightly further for better view
-                    
-                    // Define camera positions and orientations for each part type
-                    const cameraPresets = {
-                        'european service': {
-                            offset: new THREE.Vector3(0, 0, -1), // Back view
-                            lookAt: new THREE.Vector3(0, 0, 0)
-                        },
-                        'solar arrays': {
-                            offset: new THREE.Vector3(1, 0, 0), // Side view
-                            lookAt: new THREE.Vector3(0, 0, 0)
-                        },
-                        'exhaust': {
-                            offset: new THREE.Vector3(0, -0.5, -1), // Back-bottom view
-                            lookAt: new THREE.Vector3(0, 0, 0)
-                        }
-                    };
-                    
-                    // Get preset for this part, or use default
-                    const preset = cameraPresets[normalizedName] || {
-                        offset: new THREE.Vector3(0, 0.3, 1),
-                        lookAt: new THREE.Vector3(0, 0, 0)
-                    };
-                    
-                    // Calculate target camera position relative to center
-                    const targetPosition = center.clone();
-                    const offset = preset.offset.clone().multiplyScalar(distance);
-                    targetPosition.add(offset);
-                    
-                    // Calculate look-at point (center of the part)
-                    const lookAtPoint = center.clone().add(preset.lookAt.clone().multiplyScalar(distance * 0.1));
-                    
-                    // Smooth camera transition
-                    const startPosition = this.camera.position.clone();
-                    const startTarget = this.controls.target.clone();
-                    const startTime = performance.now();
-                    const duration = 1200; // 1.2 seconds
-                    
-                    const animateCamera = () => {
-                        const elapsed = performance.now() - startTime;
-                        const progress = Math.min(elapsed / duration, 1);
-                        const easeProgress = 1 - Math.pow(1 - progress, 3); // Ease out cubic
-                        
-                        // Interpolate camera position
-                        this.camera.position.lerpVectors(startPosition, targetPosition, easeProgress);
-                        
-                        // Interpolate controls target (what camera looks at)
-                        this.controls.target.lerp(lookAtPoint, easeProgress);
-                        
-                        // Update controls
-                        this.controls.update();
-                        
-                        if (progress < 1) {
-                            requestAnimationFrame(animateCamera);
-                        }
-                    };
-                    
-                    animateCamera();
-                }
-            }
-        }
+        // Keep the current viewing direction so framing doesn't spin the model around
+        const direction = this.camera.position.clone().sub(this.controls.target);
+        if (direction.lengthSq() < 1e-8) direction.set(0, 0, -1);
+        direction.normalize();
         
-        this.currentPreset = partName;
+        return {
+            position: sphere.center.clone().add(direction.multiplyScalar(distance)),
+            target: sphere.center.clone()
+        };
     }
     
-    resetPartPreset() {
-        // Just reset the preset state, no opacity changes needed
-        this.currentPreset = null;
+    frameObjects(objects, options = {}) {
+        const view = this.getFramingView(objects.filter(Boolean));
+        if (!view) return false;
+        
+        this.cameraAnimator.animateTo({ duration: 1000, ...options, ...view });
+        return true;
+    }
+    
+    frameAll() {
+        if (!this.satellite) return;
+        this.frameObjects([this.satellite]);
+    }
+    
+    focusSelected() {
+        // Fall back to the whole model when nothing (or nothing still in the scene) is selected
+        const selected = this.selection.selected.filter(obj => this.isInModel(obj));
+        if (selected.length > 0) {
+            this.frameObjects(selected);
+        } else {
+            this.frameAll();
+        }
+    }
+    
+    isInModel(object) {
+        let current = object;
+        while (current) {
+            if (current === this.satellite) return true;
+            current = current.parent;
+        }
+        return false;
     }
 
     updateIndicatorPosition() {
@@ -3270,15 +5818,14 @@ class SatelliteViewer {
         const boundingBox = new THREE.Box3().setFromObject(object);
         const size = boundingBox.getSize(new THREE.Vector3());
         
-        // For solar arrays, use a smaller offset to keep popup closer to the panel
-        const partInfo = object.userData.partInfo || this.partData.get(object.uuid);
-        const isSolarArray = partInfo && partInfo.name && partInfo.name.toLowerCase().includes('solar');
+        // For thin parts (e.g. solar arrays), use a smaller offset to keep popup closer to the panel
+        const minDim = Math.min(size.x, size.y, size.z);
+        const maxDim = Math.max(size.x, size.y, size.z);
+        const isThinPart = minDim < maxDim * 0.1;
         
         let offsetY;
-        if (isSolarArray) {
-            // For solar arrays, calculate offset based on the panel's orientation
+        if (isThinPart) {
             // Use the smallest dimension to ensure popup stays close to the thin panel
-            const minDim = Math.min(size.x, size.y, size.z);
             offsetY = Math.max(minDim * 0.5, 0.2); // Smaller offset for thin panels
         } else {
             offsetY = Math.max(size.y * 0.5, 0.5); // At least 0.5 units up
@@ -3303,7 +5850,6 @@ class SatelliteViewer {
         const y = (-vector.y * 0.5 + 0.5) * containerHeight + containerRect.top;
         
         // Position the overlay above the intersection point
-        // For solar arrays, ensure it's positioned correctly relative to the marker
         overlay.style.left = x + 'px';
         overlay.style.top = (y - 10) + 'px';
         overlay.style.transform = 'translate(-50%, -100%)'; // Center horizontally, position above
@@ -3311,17 +5857,8 @@ class SatelliteViewer {
         
         // Calculate the bottom center of the popup box in screen space
         const popupRect = overlay.getBoundingClientRect();
-        let popupBottomX, popupBottomY;
-        
-        if (isSolarArray) {
-            // For solar arrays with fixed position, use the center-bottom of the popup
-            popupBottomX = popupRect.left + popupRect.width / 2; // Center X
-            popupBottomY = popupRect.bottom; // Bottom Y
-        } else {
-            // For other parts, use the calculated position
-            popupBottomX = popupRect.left + popupRect.width / 2; // Center X
-            popupBottomY = popupRect.bottom; // Bottom Y
-        }
+        const popupBottomX = popupRect.left + popupRect.width / 2; // Center X
+        const popupBottomY = popupRect.bottom; // Bottom Y
         
         // Convert screen coordinates to normalized device coordinates
         // Use container dimensions for accurate NDC calculation
@@ -3388,67 +5925,333 @@ class SatelliteViewer {
     formatPartName(name) {
         if (!name) return name;
         
+        // Names authored in the part catalog take precedence
+        const rule = this.partCatalog.match(name);
+        if (rule && rule.name) return rule.name;
+        
         // Replace underscores and hyphens with spaces
         let formatted = name.replace(/[_-]/g, ' ');
         
         // Remove duplicate spaces
         formatted = formatted.replace(/\s+/g, ' ').trim();
         
-        // Replace "Panel" with "Solar Arrays" (case-insensitive)
-        formatted = formatted.replace(/\bpanel\b/gi, 'Solar Arrays');
+        // Remove duplicate words (case-insensitive), e.g. "HEAT_Shield-Heat_Shield_Metal_UV" -> "HEAT Shield"
+        const words = formatted.split(' ');
+        const uniqueWords = [];
+        const seen = new Set();
+        
+        for (const word of words) {
+            const lowerWord = word.toLowerCase();
+            // Skip common exporter suffixes like "UV", "Metal" if they appear after the main name
+            if (!seen.has(lowerWord) && (uniqueWords.length < 2 || !['uv', 'metal', 'texture', 'material'].includes(lowerWord))) {
+                seen.add(lowerWord);
+                uniqueWords.push(word);
+            }
+        }
+        
+        return uniqueWords.join(' ');
+    }
+    
+    resolvePartInfo(mesh) {
+        // Annotations edited by the user win over the catalog and the glTF extras
+        if (mesh.userData.editedPartInfo) return mesh.userData.editedPartInfo;
+        
+        const rule = this.partCatalog.match(mesh.name);
+        const groupId = (rule && rule.group) || null;
+        const group = this.partCatalog.getGroup(groupId);
+        const name = this.formatPartName(mesh.name);
+        
+        const partInfo = {
+            name: name,
+            description: (rule && rule.description)
+                || (group && group.description)
+                || `Part of the ${(group && group.name) || name} component.`,
+            group: groupId,
+            // Rich card content: part-level entries override their group's
+            ...this.partCatalog.getDetails(group),
+            ...this.partCatalog.getDetails(rule)
+        };
         
-        // Replace "HEAT Shield" with "Crew Module" (case-insensitive)
-        formatted = formatted.replace(/\bheat\s+shield\b/gi, 'Crew Module');
+        // Part info authored in the glTF extras overrides the catalog
+        const authored = mesh.userData.authoredPartInfo;
+        return authored ? { ...partInfo, ...authored } : partInfo;
+    }
+    
+    assignPartInfo() {
+        if (!this.satellite) return;
         
-        // Replace "MID12 White" with "Crew Module Adapter" (case-insensitive)
-        formatted = formatted.replace(/\bmid12\s+white\b/gi, 'Crew Module Adapter');
+        this.satellite.traverse((child) => {
+            if (child.isMesh && child.name && child.name.trim() !== '') {
+                // Remember part info that came with the model before it is replaced
+                if (child.userData.authoredPartInfo === undefined) {
+                    child.userData.authoredPartInfo = child.userData.partInfo || null;
+                }
+                child.userData.partInfo = this.resolvePartInfo(child);
+                this.partData.set(child.uuid, child.userData.partInfo);
+            }
+        });
+    }
+    
+    applyPartCatalog(catalog, gltf = null) {
+        // Ignore catalogs that arrive after another model has replaced this one
+        if (gltf && gltf.scene !== this.satellite) return;
+        
+        this.partCatalog = catalog || (gltf && PartCatalog.fromGLTF(gltf)) || new PartCatalog();
+        this.assignPartInfo();
+        this.buildPresetButtons();
+        
+        // Refresh an open popup so it shows the new names
+        if (this.selectedObject && this.selectedIntersectionPoint) {
+            const worldIntersection = this.selectedIntersectionPoint.clone();
+            this.selectedObject.localToWorld(worldIntersection);
+            this.showIndicator(this.selectedObject, worldIntersection);
+        }
+    }
+    
+    loadPartCatalogFromFile(file) {
+        const reader = new FileReader();
         
-        // Replace "MID02 White" with "EUROPEAN SERVICE MODULE" (case-insensitive)
-        formatted = formatted.replace(/\bmid02\s+white\b/gi, 'EUROPEAN SERVICE MODULE');
+        reader.onload = (e) => {
+            try {
+                const catalog = new PartCatalog(JSON.parse(e.target.result));
+                this.applyPartCatalog(catalog);
+                console.log('Part catalog loaded from file:', file.name);
+            } catch (error) {
+                console.error('Error loading part catalog:', error);
+                alert('Failed to load part catalog. Please check that it is a valid JSON file.');
+            }
+        };
         
-        // Replace "MID17 White" with "EUROPEAN SERVICE MODULE" (case-insensitive)
-        formatted = formatted.replace(/\bmid17\s+white\b/gi, 'EUROPEAN SERVICE MODULE');
+        reader.onerror = () => {
+            console.error('Error reading file');
+            alert('Failed to read part catalog file.');
+        };
         
-        // Replace "MID White" with "Crew Module Adapter" (case-insensitive)
-        formatted = formatted.replace(/\bmid\s+white\b/gi, 'Crew Module Adapter');
+        reader.readAsText(file);
+    }
+    
+    buildPresetButtons() {
+        const presetButtons = document.getElementById('preset-buttons');
+        if (!presetButtons) return;
         
-        // Replace "Exhaust01 Exhaust" with "Exhaust" (case-insensitive)
-        formatted = formatted.replace(/\bexhaust01\s+exhaust\b/gi, 'Exhaust');
+        presetButtons.innerHTML = '';
+        this.currentPreset = null;
         
-        // Replace "Exhaust02" with "Exhaust" (case-insensitive)
-        formatted = formatted.replace(/\bexhaust02\b/gi, 'Exhaust');
+        this.partCatalog.presets.forEach(preset => {
+            const button = document.createElement('button');
+            button.className = 'preset-button';
+            button.dataset.part = preset.id;
+            button.textContent = preset.label;
+            button.disabled = !preset.enabled;
+            presetButtons.appendChild(button);
+        });
+    }
+
+    getSidecarUrl(modelPath, extension) {
+        // Sidecar files sit next to the model: "Orion.gltf" -> "Orion.parts.json"
+        if (!modelPath || /^(blob|data):/i.test(modelPath)) return null;
         
-        // Replace "Exhaust01" with "Exhaust" (case-insensitive)
-        formatted = formatted.replace(/\bexhaust01\b/gi, 'Exhaust');
+        const path = modelPath.split(/[?#]/)[0];
+        if (!/\.(gltf|glb)$/i.test(path)) return null;
+        return path.replace(/\.(gltf|glb)$/i, extension);
+    }
+    
+    setupTourControls() {
+        const loadTourButton = document.getElementById('load-tour-button');
+        const tourFileInput = document.getElementById('tour-file-input');
+        const startTourButton = document.getElementById('start-tour-button');
+        const tourBar = document.getElementById('tour-bar');
+        
+        if (loadTourButton && tourFileInput) {
+            loadTourButton.addEventListener('click', () => {
+                tourFileInput.click();
+            });
+            tourFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.loadTourFromFile(file);
+                }
+                e.target.value = '';
+            });
+        }
         
-        // Replace "Exhaust Metal" with "Exhaust" (case-insensitive)
-        formatted = formatted.replace(/\bexhaust\s+metal\b/gi, 'Exhaust');
+        if (startTourButton) {
+            startTourButton.addEventListener('click', () => this.startTour());
+        }
         
-        // Replace "Exhaust UV" with "Exhaust" (case-insensitive)
-        formatted = formatted.replace(/\bexhaust\s+uv\b/gi, 'Exhaust');
+        if (tourBar) {
+            document.getElementById('tour-previous').addEventListener('click', () => this.tourPlayer.previous());
+            document.getElementById('tour-next').addEventListener('click', () => this.tourPlayer.next());
+            document.getElementById('tour-play').addEventListener('click', () => this.tourPlayer.togglePlay());
+            document.getElementById('tour-close').addEventListener('click', () => this.tourPlayer.stop());
+        }
         
-        // Remove any trailing numbers or extra text after "Exhaust"
-        formatted = formatted.replace(/\bexhaust\s*\d+\s*.*$/gi, 'Exhaust');
+        this.updateTourControls();
+    }
+    
+    applyTour(tour, gltf = null) {
+        // Ignore tours that arrive after another model has replaced this one
+        if (gltf && gltf.scene !== this.satellite) return;
         
-        // Handle specific patterns like "HEAT_Shield-Heat_Shield_Metal_UV" -> "HEAT SHIELD"
-        // Remove duplicate words (case-insensitive) and keep only first two significant words
-        const words = formatted.split(' ');
-        const uniqueWords = [];
-        const seen = new Set();
+        this.tourPlayer.setTour(tour);
         
-        for (const word of words) {
-            const lowerWord = word.toLowerCase();
-            // Skip common suffixes like "UV", "Metal" if they appear after the main name
-            if (!seen.has(lowerWord) && (uniqueWords.length < 2 || !['uv', 'metal', 'texture', 'material'].includes(lowerWord))) {
-                seen.add(lowerWord);
-                uniqueWords.push(word);
+        const autoplayCheckbox = document.getElementById('tour-autoplay');
+        if (tour && autoplayCheckbox) {
+            autoplayCheckbox.checked = tour.autoplay || autoplayCheckbox.checked;
+        }
+        if (tour && tour.autoplay) {
+            this.startTour();
+        }
+    }
+    
+    loadTourFromFile(file) {
+        const reader = new FileReader();
+        
+        reader.onload = (e) => {
+            try {
+                const tour = TourPlayer.normalize(JSON.parse(e.target.result));
+                this.applyTour(tour);
+                console.log('Tour loaded from file:', file.name);
+            } catch (error) {
+                console.error('Error loading tour:', error);
+                alert(`Failed to load tour: ${error.message}`);
+            }
+        };
+        
+        reader.onerror = () => {
+            console.error('Error reading file');
+            alert('Failed to read tour file.');
+        };
+        
+        reader.readAsText(file);
+    }
+    
+    startTour() {
+        if (!this.tourPlayer.tour || !this.satellite) return;
+        
+        const autoplayCheckbox = document.getElementById('tour-autoplay');
+        this.tourPlayer.start();
+        if (autoplayCheckbox && !autoplayCheckbox.checked) {
+            this.tourPlayer.pause();
+        }
+    }
+    
+    showTourStep(step, index) {
+        if (!this.satellite) return;
+        
+        this.closeIndicator();
+        this.isRotationPaused = true; // Keep the model still while the tour is running
+        
+        const highlightStep = () => {
+            const mesh = this.findTourStepPart(step);
+            if (mesh) {
+                const center = new THREE.Box3().setFromObject(mesh).getCenter(new THREE.Vector3());
+                const group = step.group ? this.partCatalog.getGroup(step.group) : null;
+                const groupInfo = group ? {
+                    name: group.name || step.group,
+                    description: group.description || '',
+                    group: step.group,
+                    ...this.partCatalog.getDetails(group)
+                } : null;
+                this.showIndicator(mesh, center, groupInfo);
+            }
+        };
+        
+        if (step.preset) {
+            // Presets move the camera and show their own popup
+            this.showPartPreset(step.preset);
+        } else if (step.camera && Array.isArray(step.camera.position)) {
+            const position = new THREE.Vector3().fromArray(step.camera.position);
+            const target = new THREE.Vector3().fromArray(step.camera.target || [0, 0, 0]);
+            this.cameraAnimator.animateTo({
+                position,
+                target,
+                fov: step.camera.fov,
+                duration: step.transition,
+                easing: step.easing,
+                onComplete: highlightStep
+            });
+        } else {
+            const mesh = this.findTourStepPart(step);
+            if (mesh) {
+                // No camera given - frame the part from the current viewing direction
+                this.frameObjects([mesh], {
+                    duration: step.transition,
+                    easing: step.easing,
+                    onComplete: highlightStep
+                });
+            }
+        }
+        
+        const caption = document.getElementById('tour-caption');
+        if (caption) {
+            caption.textContent = step.caption || '';
+        }
+        console.log(`Tour step ${index + 1}/${this.tourPlayer.stepCount}`);
+    }
+    
+    findTourStepPart(step) {
+        if (step.part) {
+            // Match the mesh name first, then the displayed part name
+            let found = this.satellite.getObjectByName(step.part);
+            if (!found) {
+                this.satellite.traverse((child) => {
+                    if (!found && child.isMesh && child.userData.partInfo && child.userData.partInfo.name === step.part) {
+                        found = child;
+                    }
+                });
             }
+            return found || null;
+        }
+        
+        if (step.group) {
+            let found = null;
+            this.satellite.traverse((child) => {
+                if (!found && child.isMesh && child.userData.partInfo && child.userData.partInfo.group === step.group) {
+                    found = child;
+                }
+            });
+            return found;
+        }
+        
+        return null;
+    }
+    
+    endTour() {
+        this.cameraAnimator.cancel();
+        this.closeIndicator();
+        
+        const caption = document.getElementById('tour-caption');
+        if (caption) {
+            caption.textContent = '';
+        }
+    }
+    
+    updateTourControls() {
+        const player = this.tourPlayer;
+        const tourBar = document.getElementById('tour-bar');
+        const startTourButton = document.getElementById('start-tour-button');
+        const tourStatus = document.getElementById('tour-status');
+        
+        if (startTourButton) {
+            startTourButton.disabled = !player.tour;
+            startTourButton.textContent = player.isActive ? '↺ Restart Tour' : '▶ Start Tour';
+        }
+        if (tourStatus) {
+            tourStatus.textContent = player.tour
+                ? `${player.tour.title} (${player.stepCount} step${player.stepCount === 1 ? '' : 's'})`
+                : 'No tour loaded';
         }
         
-        // Keep only first two words for cleaner display
-        formatted = uniqueWords.slice(0, 2).join(' ');
+        if (!tourBar) return;
+        tourBar.classList.toggle('hidden', !player.isActive);
+        if (!player.isActive) return;
         
-        return formatted;
+        document.getElementById('tour-title').textContent = player.tour.title;
+        document.getElementById('tour-step-counter').textContent = `${player.currentIndex + 1} / ${player.stepCount}`;
+        document.getElementById('tour-play').textContent = player.isPlaying ? '⏸' : '▶';
+        document.getElementById('tour-previous').disabled = player.currentIndex <= 0;
+        document.getElementById('tour-next').disabled = player.currentIndex >= player.stepCount - 1 && !player.tour.loop;
     }
 
     createConnectionLine(startPoint, endPoint) {
@@ -3554,6 +6357,30 @@ class SatelliteViewer {
         }
     }
 
+    // Turn the model and the lights with it to where `rotationTime` is in the idle rotation cycle
+    applyIdleRotation() {
+        const oscillation = Math.sin((this.rotationTime / IDLE_ROTATION_CYCLE) * Math.PI * 2);
+        const rotationAngle = oscillation * (Math.PI / 4); // 45 degrees in radians
+        
+        if (this.satellite) {
+            this.satellite.rotation.y = rotationAngle;
+        }
+        
+        // Oscillate lights side by side (preserve Y position)
+        [
+            [this.directionalLight, this.initialLightPositions.directional],
+            [this.fillLight, this.initialLightPositions.fill],
+            [this.pointLight, this.initialLightPositions.point]
+        ].forEach(([light, initial]) => {
+            if (!light || !initial) return;
+            const radius = Math.sqrt(initial.x ** 2 + initial.z ** 2);
+            const newAngle = Math.atan2(initial.z, initial.x) + rotationAngle;
+            light.position.x = Math.cos(newAngle) * radius;
+            light.position.z = Math.sin(newAngle) * radius;
+            light.position.y = initial.y;
+        });
+    }
+    
     animate() {
         requestAnimationFrame(() => this.animate());
         
@@ -3562,54 +6389,23 @@ class SatelliteViewer {
         const deltaTime = (currentTime - this.lastFrameTime) / 1000; // Convert to seconds
         this.lastFrameTime = currentTime;
         
+        // Hide highlights of parts that have been hidden
+        this.selection.update();
+        
+        // Advance any camera animation before the controls apply damping
+        this.cameraAnimator.update(currentTime);
+        this.explodedView.update(currentTime);
+        this.sectionPlanes.update();
+        this.measurements.update();
+        this.hotspots.update();
+        
         // Update controls
         this.controls.update();
         
-        // Oscillate rotation between -45 and +45 degrees (90 degrees total)
-        if (!this.isRotationPaused) {
-            // Increment time for oscillation (completes one cycle every 80 seconds - 10x slower)
+        // Hold the model still while a part is being transformed or section planes cut it
+        if (!this.isRotationPaused && !this.transformControls.object && this.sectionPlanes.clippingPlanes.length === 0) {
             this.rotationTime += deltaTime;
-            const cycleDuration = 80; // seconds for full oscillation (10x slower than before)
-            const oscillation = Math.sin((this.rotationTime / cycleDuration) * Math.PI * 2);
-            
-            // Convert to -45 to +45 degrees (in radians: -PI/4 to +PI/4)
-            const rotationAngle = oscillation * (Math.PI / 4); // 45 degrees in radians
-            
-            // Rotate satellite (oscillate between -45 and +45 degrees)
-            if (this.satellite) {
-                this.satellite.rotation.y = rotationAngle;
-            }
-            
-            // Oscillate lights side by side (preserve Y position)
-            if (this.directionalLight && this.initialLightPositions.directional) {
-                const initial = this.initialLightPositions.directional;
-                const radius = Math.sqrt(initial.x ** 2 + initial.z ** 2);
-                const baseAngle = Math.atan2(initial.z, initial.x);
-                const newAngle = baseAngle + rotationAngle;
-                this.directionalLight.position.x = Math.cos(newAngle) * radius;
-                this.directionalLight.position.z = Math.sin(newAngle) * radius;
-                this.directionalLight.position.y = initial.y;
-            }
-            
-            if (this.fillLight && this.initialLightPositions.fill) {
-                const initial = this.initialLightPositions.fill;
-                const radius = Math.sqrt(initial.x ** 2 + initial.z ** 2);
-                const baseAngle = Math.atan2(initial.z, initial.x);
-                const newAngle = baseAngle + rotationAngle;
-                this.fillLight.position.x = Math.cos(newAngle) * radius;
-                this.fillLight.position.z = Math.sin(newAngle) * radius;
-                this.fillLight.position.y = initial.y;
-            }
-            
-            if (this.pointLight && this.initialLightPositions.point) {
-                const initial = this.initialLightPositions.point;
-                const radius = Math.sqrt(initial.x ** 2 + initial.z ** 2);
-                const baseAngle = Math.atan2(initial.z, initial.x);
-                const newAngle = baseAngle + rotationAngle;
-                this.pointLight.position.x = Math.cos(newAngle) * radius;
-                this.pointLight.position.z = Math.sin(newAngle) * radius;
-                this.pointLight.position.y = initial.y;
-            }
+            this.applyIdleRotation();
         }
         
         // Update indicator position in real-time if it's visible
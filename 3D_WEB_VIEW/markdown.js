@@ -0,0 +1,102 @@
+// Minimal markdown renderer for part information cards.
+// Supports headings, paragraphs, bullet/numbered lists, bold, italics, inline code and links.
+// All text is HTML-escaped first, so content from catalogs and model files can't inject markup.
+
+function escapeHTML(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+function isSafeUrl(url) {
+    // Resolve the link the way the browser will, which strips control characters and tabs
+    // ("java\tscript:"), so only web and mail links survive, relative ones included
+    try {
+        return SAFE_PROTOCOLS.includes(new URL(url, window.location.href).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+function renderEmphasis(html) {
+    return html
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*([^*]+)\*/g, '<em>$1</em>');
+}
+
+// Code spans and links are set aside as numbered placeholders first, so emphasis markers inside
+// them (e.g. a URL with "*" in it) stay as written
+const PLACEHOLDER_PATTERN = /\u0000(\d+)\u0000/g;
+
+function renderInline(text) {
+    const held = [];
+    const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+    const restore = (html) => html.replace(PLACEHOLDER_PATTERN, (match, index) => restore(held[index]));
+
+    const html = escapeHTML(text.replace(/\u0000/g, ''))
+        .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${code}</code>`))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+            if (!isSafeUrl(url)) return hold(renderEmphasis(label));
+            return hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${renderEmphasis(label)}</a>`);
+        });
+    return restore(renderEmphasis(html));
+}
+
+export function renderMarkdown(markdown) {
+    if (!markdown) return '';
+
+    const html = [];
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            html.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+            paragraph = [];
+        }
+    };
+
+    const flushList = () => {
+        if (list) {
+            html.push(`<${list.tag}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        }
+    };
+
+    String(markdown).split(/\r?\n/).forEach((line) => {
+        const trimmed = line.trim();
+        const heading = trimmed.match(/^(#{1,4})\s+(.*)$/);
+        const bullet = trimmed.match(/^[-*]\s+(.*)$/);
+        const numbered = trimmed.match(/^\d+[.)]\s+(.*)$/);
+
+        if (trimmed === '') {
+            flushParagraph();
+            flushList();
+        } else if (heading) {
+            flushParagraph();
+            flushList();
+            // Card titles are h3, so markdown headings start one level below
+            const level = Math.min(heading[1].length + 3, 6);
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+        } else if (bullet || numbered) {
+            flushParagraph();
+            const tag = bullet ? 'ul' : 'ol';
+            if (list && list.tag !== tag) flushList();
+            if (!list) list = { tag, items: [] };
+            list.items.push((bullet || numbered)[1]);
+        } else {
+            flushList();
+            paragraph.push(trimmed);
+        }
+    });
+
+    flushParagraph();
+    flushList();
+
+    return html.join('');
+}
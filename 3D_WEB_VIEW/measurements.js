@@ -0,0 +1,300 @@
+// Measurements: point-to-point distance, three-point angle and part bounding-box dimensions.
+// Points are anchored in the local space of the mesh they were picked on (like the info popup's
+// intersection point), so measurements stay attached while the model rotates, explodes or is edited.
+// Values are computed in the model's own space, which removes the viewer's display scale and
+// orientation, and shown in meters using the length of the model's unit (`metersPerUnit`).
+// Lines and markers are drawn like the popup's connection line; labels are HTML elements placed over
+// the canvas. The viewer calls `update()` once per frame from its render loop.
+
+import * as THREE from 'three';
+
+const LINE_COLOR = 0x4a9eff;
+const MARKER_RADIUS = 0.05;
+const POINTS_NEEDED = { distance: 2, angle: 3 };
+
+export function formatLength(meters) {
+    const value = Math.abs(meters);
+    if (value >= 1) return `${meters.toFixed(3)} m`;
+    if (value >= 0.01) return `${(meters * 100).toFixed(1)} cm`;
+    return `${(meters * 1000).toFixed(1)} mm`;
+}
+
+function createLineMaterial() {
+    return new THREE.LineBasicMaterial({
+        color: LINE_COLOR,
+        transparent: true,
+        opacity: 0.9,
+        depthTest: false, // Always render on top
+        depthWrite: false
+    });
+}
+
+function createMarker() {
+    const marker = new THREE.Mesh(
+        new THREE.SphereGeometry(MARKER_RADIUS, 16, 16),
+        new THREE.MeshBasicMaterial({ color: LINE_COLOR, transparent: true, opacity: 0.9, depthTest: false, depthWrite: false })
+    );
+    marker.renderOrder = 999;
+    marker.raycast = () => {};
+    return marker;
+}
+
+export class MeasurementTool {
+    constructor(scene, camera, container) {
+        this.scene = scene;
+        this.camera = camera;
+        this.container = container; // Canvas container, for projecting labels
+        this.model = null; // Measurements are taken in this object's local space
+        this.mode = 'none'; // 'none' | 'distance' | 'angle' | 'bounds'
+        this.measurements = []; // { id, type, anchors: [{ object, local }], part, box, value, visuals }
+        this.pending = []; // Anchors picked so far for the measurement in progress
+        this.pendingMarkers = [];
+        this.nextId = 1;
+        this.onChange = null; // Called when measurements are added or removed, or the mode changes
+        this.metersPerUnit = 1; // Set by the viewer from the model's unit
+        this.markerScale = 1; // Marker size factor, set by the viewer to follow the size of the model
+
+        this.group = new THREE.Group();
+        this.group.name = 'Measurements';
+        this.scene.add(this.group);
+
+        this.labelLayer = document.createElement('div');
+        this.labelLayer.className = 'measurement-labels';
+        document.body.appendChild(this.labelLayer);
+    }
+
+    setModel(model) {
+        this.clear();
+        this.model = model;
+    }
+
+    setUnitScale(metersPerUnit) {
+        this.metersPerUnit = metersPerUnit;
+        this.measurements.forEach((measurement) => {
+            measurement.visuals.label.textContent = this.formatValue(measurement);
+        });
+        this.notify();
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.cancelPending();
+        this.notify();
+    }
+
+    // Add a picked point ({ object, point } from the viewer's raycast). Returns the finished
+    // measurement once enough points have been picked, otherwise null.
+    addPoint(hit) {
+        if (!this.model || !POINTS_NEEDED[this.mode]) return null;
+
+        const anchor = { object: hit.object, local: hit.object.worldToLocal(hit.point.clone()) };
+        this.pending.push(anchor);
+
+        const marker = createMarker();
+        this.pendingMarkers.push({ marker, anchor });
+        this.group.add(marker);
+
+        if (this.pending.length < POINTS_NEEDED[this.mode]) {
+            this.update();
+            return null;
+        }
+
+        const measurement = this.add({ type: this.mode, anchors: this.pending });
+        this.cancelPending();
+        return measurement;
+    }
+
+    measurePart(part) {
+        if (!this.model || !part) return null;
+        return this.add({ type: 'bounds', part });
+    }
+
+    add(data) {
+        const measurement = { id: data.id || this.nextId, type: data.type, anchors: data.anchors || [], part: data.part || null };
+        this.nextId = Math.max(this.nextId, measurement.id) + 1;
+
+        if (measurement.type === 'bounds') {
+            measurement.box = this.getModelSpaceBox(measurement.part);
+            if (measurement.box.isEmpty()) return null;
+        }
+        measurement.value = this.computeValue(measurement);
+        this.createVisuals(measurement);
+
+        this.measurements.push(measurement);
+        this.update();
+        this.notify();
+        return measurement;
+    }
+
+    remove(measurement) {
+        const index = this.measurements.indexOf(measurement);
+        if (index === -1) return;
+
+        this.measurements.splice(index, 1);
+        this.disposeVisuals(measurement);
+        this.notify();
+    }
+
+    clear() {
+        this.cancelPending();
+        this.measurements.slice().forEach((measurement) => this.disposeVisuals(measurement));
+        this.measurements = [];
+        this.notify();
+    }
+
+    // Put back measurements removed earlier, e.g. on undo
+    restore(measurements) {
+        this.clear();
+        measurements.forEach((measurement) => this.add(measurement));
+    }
+
+    cancelPending() {
+        this.pendingMarkers.forEach(({ marker }) => {
+            this.group.remove(marker);
+            marker.geometry.dispose();
+            marker.material.dispose();
+        });
+        this.pendingMarkers = [];
+        this.pending = [];
+    }
+
+    toModelSpace(anchor) {
+        const world = anchor.object.localToWorld(anchor.local.clone());
+        return this.model.worldToLocal(world);
+    }
+
+    getModelSpaceBox(part) {
+        // Built from the geometry in model space, so it doesn't grow as the model turns
+        this.model.updateMatrixWorld(true);
+        const toModel = this.model.matrixWorld.clone().invert();
+        const box = new THREE.Box3();
+        part.traverse((child) => {
+            if (!child.isMesh || !child.geometry) return;
+            if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+            const matrix = toModel.clone().multiply(child.matrixWorld);
+            box.union(child.geometry.boundingBox.clone().applyMatrix4(matrix));
+        });
+        return box;
+    }
+
+    computeValue(measurement) {
+        if (measurement.type === 'distance') {
+            const [a, b] = measurement.anchors.map((anchor) => this.toModelSpace(anchor));
+            return a.distanceTo(b);
+        }
+        if (measurement.type === 'angle') {
+            // Angle at the middle point
+            const [a, vertex, b] = measurement.anchors.map((anchor) => this.toModelSpace(anchor));
+            const u = a.sub(vertex);
+            const v = b.sub(vertex);
+            if (u.lengthSq() === 0 || v.lengthSq() === 0) return 0;
+            return THREE.MathUtils.radToDeg(u.angleTo(v));
+        }
+        return measurement.box.getSize(new THREE.Vector3());
+    }
+
+    formatValue(measurement) {
+        if (measurement.type === 'distance') return formatLength(measurement.value * this.metersPerUnit);
+        if (measurement.type === 'angle') return `${measurement.value.toFixed(1)}°`;
+        const size = measurement.value.clone().multiplyScalar(this.metersPerUnit);
+        return `${formatLength(size.x)} × ${formatLength(size.y)} × ${formatLength(size.z)}`;
+    }
+
+    createVisuals(measurement) {
+        const visuals = { objects: [], label: document.createElement('div') };
+
+        if (measurement.type === 'bounds') {
+            // Unit cube edges, placed on the model-space box every frame
+            const box = new THREE.LineSegments(new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1)), createLineMaterial());
+            box.matrixAutoUpdate = false;
+            box.renderOrder = 9999;
+            visuals.box = box;
+            visuals.objects.push(box);
+        } else {
+            const line = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(measurement.anchors.map(() => new THREE.Vector3())),
+                createLineMaterial()
+            );
+            line.renderOrder = 9999;
+            line.frustumCulled = false;
+            visuals.line = line;
+            visuals.markers = measurement.anchors.map(() => createMarker());
+            visuals.objects.push(line, ...visuals.markers);
+        }
+        visuals.objects.forEach((object) => {
+            object.raycast = () => {};
+            this.group.add(object);
+        });
+
+        visuals.label.className = `measurement-label measurement-${measurement.type}`;
+        visuals.label.textContent = this.formatValue(measurement);
+        this.labelLayer.appendChild(visuals.label);
+
+        measurement.visuals = visuals;
+    }
+
+    disposeVisuals(measurement) {
+        const visuals = measurement.visuals;
+        if (!visuals) return;
+
+        visuals.objects.forEach((object) => {
+            this.group.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+        visuals.label.remove();
+        measurement.visuals = null;
+    }
+
+    update() {
+        const rect = this.container.getBoundingClientRect();
+        const placeLabel = (label, world) => {
+            const projected = world.clone().project(this.camera);
+            // Behind the camera or off screen
+            const visible = projected.z < 1 && Math.abs(projected.x) <= 1 && Math.abs(projected.y) <= 1;
+            label.style.display = visible ? '' : 'none';
+            if (!visible) return;
+            label.style.left = `${rect.left + (projected.x * 0.5 + 0.5) * rect.width}px`;
+            label.style.top = `${rect.top + (-projected.y * 0.5 + 0.5) * rect.height}px`;
+        };
+
+        this.pendingMarkers.forEach(({ marker, anchor }) => {
+            marker.position.copy(anchor.object.localToWorld(anchor.local.clone()));
+            marker.scale.setScalar(this.markerScale);
+        });
+
+        this.measurements.forEach((measurement) => {
+            const visuals = measurement.visuals;
+
+            if (measurement.type === 'bounds') {
+                const center = measurement.box.getCenter(new THREE.Vector3());
+                const size = measurement.box.getSize(new THREE.Vector3()).max(new THREE.Vector3(1e-6, 1e-6, 1e-6));
+                visuals.box.matrix.compose(center, new THREE.Quaternion(), size).premultiply(this.model.matrixWorld);
+                visuals.box.matrixWorld.copy(visuals.box.matrix);
+                // Label on the top of the box
+                const top = new THREE.Vector3(center.x, measurement.box.max.y, center.z).applyMatrix4(this.model.matrixWorld);
+                placeLabel(visuals.label, top);
+                return;
+            }
+
+            const points = measurement.anchors.map((anchor) => anchor.object.localToWorld(anchor.local.clone()));
+            const positions = visuals.line.geometry.attributes.position;
+            points.forEach((point, index) => {
+                positions.setXYZ(index, point.x, point.y, point.z);
+                visuals.markers[index].position.copy(point);
+                visuals.markers[index].scale.setScalar(this.markerScale);
+            });
+            positions.needsUpdate = true;
+
+            // Distances are labelled at the midpoint, angles at their vertex
+            const labelPoint = measurement.type === 'angle'
+                ? points[1]
+                : points[0].clone().lerp(points[1], 0.5);
+            placeLabel(visuals.label, labelPoint);
+        });
+    }
+
+    notify() {
+        if (this.onChange) this.onChange(this.measurements);
+    }
+}
@@ -0,0 +1,157 @@
+// Local model files: a .gltf or .glb together with the files it references, chosen as several files,
+// a folder or a .zip archive, or dropped on the viewer. Every file gets a blob URL and the glTF
+// loader's URL modifier asks `resolve` for each reference, which is looked up in order by
+//
+// - its path relative to the model file ("textures/hull.png" next to "ship/ship.gltf")
+// - the same path ignoring case
+// - its file name alone, when only one file has that name
+//
+// References that match nothing are collected in `missing` so the viewer can name them.
+
+import { unzip } from 'three/examples/jsm/libs/fflate.module.js';
+
+const MODEL_PATTERN = /\.(gltf|glb)$/i;
+const ARCHIVE_PATTERN = /\.zip$/i;
+// Blob URLs end in a UUID; the loader makes its own for images embedded in the model
+const BLOB_URL_PATTERN = /^blob:.*\/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function normalizePath(path) {
+    const parts = [];
+    path.replace(/\\/g, '/').split('/').forEach((part) => {
+        if (part === '..') parts.pop();
+        else if (part && part !== '.') parts.push(part);
+    });
+    return parts.join('/');
+}
+
+function getDirectory(path) {
+    return path.slice(0, path.lastIndexOf('/') + 1);
+}
+
+function getFileName(path) {
+    return path.slice(path.lastIndexOf('/') + 1);
+}
+
+// File, { path, file } -> { path, file }; files picked from a folder carry their folder path
+function toEntry(item) {
+    if (item instanceof Blob) {
+        return { path: normalizePath(item.webkitRelativePath || item.name), file: item };
+    }
+    return { path: normalizePath(item.path), file: item.file };
+}
+
+function readArchive(entry) {
+    return entry.file.arrayBuffer().then((buffer) => new Promise((resolve, reject) => {
+        unzip(new Uint8Array(buffer), (error, contents) => {
+            if (error) {
+                reject(new Error(`Could not read ${entry.path}: ${error.message}`));
+                return;
+            }
+            // Archives made on macOS carry resource forks in __MACOSX
+            const directory = getDirectory(entry.path);
+            resolve(Object.keys(contents)
+                .filter((name) => !name.endsWith('/') && !name.startsWith('__MACOSX/'))
+                .map((name) => ({ path: normalizePath(directory + name), file: new Blob([contents[name]]) })));
+        });
+    }));
+}
+
+// Folders dropped on the page arrive as directory entries; resolves with { path, file } for every
+// file inside them
+function readDirectoryEntry(entry) {
+    if (entry.isFile) {
+        return new Promise((resolve, reject) => entry.file(resolve, reject))
+            .then((file) => [{ path: entry.fullPath, file }]);
+    }
+
+    const reader = entry.createReader();
+    const readBatch = (entries) => new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+        .then((batch) => (batch.length > 0 ? readBatch(entries.concat(batch)) : entries));
+    return readBatch([])
+        .then((children) => Promise.all(children.map(readDirectoryEntry)))
+        .then((lists) => [].concat(...lists));
+}
+
+export function readDroppedFiles(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+        .map((item) => (item.kind === 'file' && item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+        .filter(Boolean);
+    if (entries.length === 0) {
+        return Promise.resolve(Array.from(dataTransfer.files).map(toEntry));
+    }
+    return Promise.all(entries.map(readDirectoryEntry))
+        .then((lists) => [].concat(...lists).map(toEntry));
+}
+
+export class ModelFileSet {
+    constructor(entries) {
+        this.entries = entries; // { path, file, url }
+        this.byPath = new Map();
+        this.byLowerPath = new Map();
+        this.byName = new Map(); // lower-case file name -> entries with that name
+        this.urls = new Set();
+        this.missing = [];
+
+        entries.forEach((entry) => {
+            entry.url = URL.createObjectURL(entry.file);
+            this.urls.add(entry.url);
+            this.byPath.set(entry.path, entry);
+            this.byLowerPath.set(entry.path.toLowerCase(), entry);
+            const name = getFileName(entry.path).toLowerCase();
+            this.byName.set(name, (this.byName.get(name) || []).concat(entry));
+        });
+
+        // The model closest to the top of the folder or archive
+        const models = entries.filter((entry) => MODEL_PATTERN.test(entry.path));
+        const depth = (entry) => entry.path.split('/').length;
+        const shallowest = Math.min(...models.map(depth));
+        const candidates = models.filter((entry) => depth(entry) === shallowest);
+        if (candidates.length !== 1) {
+            this.dispose();
+            throw new Error(candidates.length === 0
+                ? 'No .gltf or .glb model was found in the selected files.'
+                : `Found several models (${candidates.map((entry) => entry.path).join(', ')}); choose one of them with the files it uses.`);
+        }
+        this.model = candidates[0];
+        this.directory = getDirectory(this.model.path);
+        this.baseUrl = getDirectory(this.model.url); // What the loader puts in front of relative references
+    }
+
+    // Files, { path, file } entries or both; .zip archives are unpacked. Resolves with the file set.
+    static fromFiles(items) {
+        const entries = items.map(toEntry);
+        return Promise.all(entries.map((entry) => (ARCHIVE_PATTERN.test(entry.path) ? readArchive(entry) : [entry])))
+            .then((lists) => new ModelFileSet([].concat(...lists)));
+    }
+
+    get name() {
+        return getFileName(this.model.path);
+    }
+
+    // A URL the model references -> blob URL of the matching file, or null for URLs that aren't ours
+    resolve(url) {
+        if (this.urls.has(url) || BLOB_URL_PATTERN.test(url) || !url.startsWith(this.baseUrl)) return null;
+
+        let reference = url.slice(this.baseUrl.length).split(/[?#]/)[0];
+        try {
+            reference = decodeURIComponent(reference);
+        } catch (error) {
+            // Keep the reference as written
+        }
+
+        const path = normalizePath(this.directory + reference);
+        const sameName = this.byName.get(getFileName(path).toLowerCase()) || [];
+        const entry = this.byPath.get(path)
+            || this.byLowerPath.get(path.toLowerCase())
+            || (sameName.length === 1 ? sameName[0] : null);
+        if (entry) return entry.url;
+
+        if (!this.missing.includes(reference)) this.missing.push(reference);
+        return null;
+    }
+
+    dispose() {
+        this.urls.forEach((url) => URL.revokeObjectURL(url));
+        this.urls.clear();
+    }
+}
@@ -0,0 +1,56 @@
+// Model loading pipeline: every way of opening a model (the initial load, the Replace Model menu,
+// share links and local files) goes through the viewer's `loadModelSource`, which runs the steps
+// registered here on the loaded glTF, in order. The viewer registers its steps at startup:
+//
+// - normalize:         scale the model by the length of its unit (see modelUnits.js)
+// - center:            move the model's bounding box center to the origin
+// - convertMaterials:  convert materials to MeshStandardMaterial
+// - solarPanelTexture: apply the solar panel mask to the Orion panel materials
+// - partInfo:          part names and descriptions from the part catalog
+//
+// Every step runs by default. A model can turn steps off in its glTF `extras`, on the asset root
+// or the scene node (like `partCatalog`):
+//
+//     "extras": { "viewerSteps": { "solarPanelTexture": false, "normalize": false } }
+//
+// and the code opening a model can pass `steps` with the source, which wins over the file.
+
+export class ModelPipeline {
+    constructor() {
+        this.steps = []; // { id, run(context) } in the order they run
+    }
+
+    // `run` gets { gltf, model, source, catalogRequest }
+    addStep(id, run) {
+        this.steps.push({ id, run });
+        return this;
+    }
+
+    // Which steps run for this model: { stepId: true/false }
+    getOptions(gltf, overrides = {}) {
+        const authored = (gltf.parser && gltf.parser.json && gltf.parser.json.extras && gltf.parser.json.extras.viewerSteps)
+            || (gltf.scene && gltf.scene.userData && gltf.scene.userData.viewerSteps)
+            || {};
+
+        const options = {};
+        this.steps.forEach((step) => {
+            options[step.id] = true;
+            [authored, overrides].forEach((settings) => {
+                if (typeof settings[step.id] === 'boolean') options[step.id] = settings[step.id];
+            });
+        });
+
+        Object.keys(authored).filter((id) => !(id in options)).forEach((id) => {
+            console.warn(`Unknown model step "${id}" in the glTF extras`);
+        });
+        return options;
+    }
+
+    run(context, overrides) {
+        const options = this.getOptions(context.gltf, overrides);
+        this.steps.forEach((step) => {
+            if (options[step.id]) step.run(context);
+        });
+        return options;
+    }
+}
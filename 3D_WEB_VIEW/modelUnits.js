@@ -0,0 +1,54 @@
+// Model units: glTF files are meant to be in meters, but CAD exports are often in millimeters or
+// centimeters and large structures in kilometers. The viewer scales a model by the length of its unit
+// so every model shows at real-world proportions, and adapts the camera, controls, star field and
+// point light to the size of the result.
+//
+// In "auto" mode the unit is guessed from the model's largest bounding box dimension, in file units:
+// meters when that gives 1 cm to 1 km, otherwise millimeters for larger numbers and kilometers for
+// smaller ones. The guess can be wrong (a 5 km station saved in kilometers looks like 5 m), so the
+// viewer marks it as guessed and the unit selector overrides it.
+//
+// "fit" ignores units and scales the model so its largest dimension is FIT_SIZE display units, for
+// files whose unit is unknown or meaningless; measurements still use the guessed unit.
+
+export const MODEL_UNITS = {
+    mm: { label: 'Millimeters', meters: 0.001 },
+    cm: { label: 'Centimeters', meters: 0.01 },
+    m: { label: 'Meters', meters: 1 },
+    km: { label: 'Kilometers', meters: 1000 }
+};
+
+// Display units per meter; the viewer's camera, controls and lights were tuned for this scale
+export const DISPLAY_SCALE = 40;
+
+// Bounding sphere radius (display units) that the default camera, controls and lights are set up for
+export const REFERENCE_RADIUS = 10;
+
+// Largest dimension of a model in "fit" mode, in display units: the size the view is set up for
+export const FIT_SIZE = 2 * REFERENCE_RADIUS;
+
+export const FIT_TO_VIEW = 'fit';
+
+const METER_RANGE = { min: 0.01, max: 1000 };
+
+export function detectModelUnit(size) {
+    if (!(size > 0) || (size >= METER_RANGE.min && size <= METER_RANGE.max)) return 'm';
+    if (size > METER_RANGE.max) return 'mm';
+    return 'km';
+}
+
+// 'auto', 'fit' or a MODEL_UNITS key -> the unit to use for a model of this size
+export function resolveModelUnit(unit, size) {
+    return MODEL_UNITS[unit] ? unit : detectModelUnit(size);
+}
+
+// Whether `unit` is a setting the unit selector offers besides 'auto'
+export function isModelUnitSetting(unit) {
+    return !!MODEL_UNITS[unit] || unit === FIT_TO_VIEW;
+}
+
+// Display units per file unit for a model whose largest dimension is `size` file units
+export function getDisplayScale(unit, size) {
+    if (unit === FIT_TO_VIEW) return size > 0 ? FIT_SIZE / size : DISPLAY_SCALE;
+    return DISPLAY_SCALE * MODEL_UNITS[resolveModelUnit(unit, size)].meters;
+}
@@ -0,0 +1,103 @@
+// Stable node identity for saved scene state. Three.js gives every object a new `uuid` each time a
+// model is loaded, so saved entries also record where the node sits in the model and its name:
+//
+//     { "uuid": "…", "id": "0/3/1", "name": "Heat_Shield", "nameIndex": 0 }
+//
+// - id:        child indices from the model root, the same each time the file is loaded
+// - name:      the node name from the glTF file
+// - nameIndex: which node with that name it is, in traversal order
+//
+// `NodeIndex.resolve` matches an entry by uuid (saved in this session), then by id as long as the
+// name still agrees, then by name + nameIndex, then by name when only one node has it. Re-exported
+// files often rename nodes slightly, so names are also compared ignoring case, spaces versus
+// underscores and Blender's ".001" duplicate suffixes: for the id check, and as a last try when
+// only one node matches.
+
+// "Heat Shield.001" and "heat_shield" -> "heat shield"
+function normalizeName(name) {
+    return name.trim().replace(/\.\d{3,}$/, '').replace(/[\s_]+/g, ' ').toLowerCase();
+}
+
+export function getNodePath(root, object) {
+    const indices = [];
+    let current = object;
+    while (current && current !== root) {
+        if (!current.parent) return null;
+        indices.unshift(current.parent.children.indexOf(current));
+        current = current.parent;
+    }
+    return current ? indices.join('/') : null;
+}
+
+export function findNodeByPath(root, path) {
+    if (!root || typeof path !== 'string') return null;
+
+    let node = root;
+    for (const index of path.split('/').filter(Boolean)) {
+        node = node.children[Number(index)];
+        if (!node) return null;
+    }
+    return node;
+}
+
+export class NodeIndex {
+    constructor(root) {
+        this.root = root;
+        this.refs = new Map(); // object -> { uuid, id, name, nameIndex }
+        this.byUuid = new Map();
+        this.byId = new Map();
+        this.byName = new Map(); // name -> objects with that name, in traversal order
+        this.byNormalizedName = new Map(); // normalizeName(name) -> objects
+
+        const visit = (object, id) => {
+            const name = object.name || '';
+            const sameName = this.byName.get(name) || [];
+            sameName.push(object);
+            this.byName.set(name, sameName);
+            const normalized = normalizeName(name);
+            this.byNormalizedName.set(normalized, (this.byNormalizedName.get(normalized) || []).concat(object));
+
+            this.refs.set(object, { uuid: object.uuid, id, name, nameIndex: sameName.length - 1 });
+            this.byUuid.set(object.uuid, object);
+            this.byId.set(id, object);
+
+            object.children.forEach((child, index) => visit(child, id ? `${id}/${index}` : String(index)));
+        };
+        if (root) visit(root, '');
+    }
+
+    // Reference fields to save with an entry for `object`
+    describe(object) {
+        const ref = this.refs.get(object);
+        return ref ? { ...ref } : { uuid: object.uuid, name: object.name || '' };
+    }
+
+    resolve(ref) {
+        if (!ref) return null;
+        if (ref.uuid && this.byUuid.has(ref.uuid)) return this.byUuid.get(ref.uuid);
+
+        const hasName = typeof ref.name === 'string';
+        if (typeof ref.id === 'string' && this.byId.has(ref.id)) {
+            const node = this.byId.get(ref.id);
+            if (!hasName || normalizeName(node.name || '') === normalizeName(ref.name)) return node;
+        }
+
+        // The hierarchy changed: fall back to the name
+        if (hasName && ref.name) {
+            const sameName = this.byName.get(ref.name) || [];
+            if (Number.isInteger(ref.nameIndex) && sameName[ref.nameIndex]) return sameName[ref.nameIndex];
+            if (sameName.length === 1) return sameName[0];
+
+            const similar = this.byNormalizedName.get(normalizeName(ref.name)) || [];
+            if (similar.length === 1) return similar[0];
+        }
+        return null;
+    }
+
+    // Short description of an entry for reports, e.g. of entries that matched nothing
+    static label(ref) {
+        if (ref.name) return `"${ref.name}"`;
+        if (typeof ref.id === 'string') return `node ${ref.id || '(root)'}`;
+        return `uuid ${ref.uuid}`;
+    }
+}
@@ -0,0 +1,128 @@
+// Part catalog: maps mesh names to display names, descriptions, groups and preset camera views.
+// A catalog is loaded per model, either from a JSON sidecar next to the model
+// (e.g. "Orion.gltf" -> "Orion.parts.json") or from the glTF `extras.partCatalog` field.
+//
+// Catalog format:
+// {
+//     "parts": [
+//         { "mesh": "Exact_Mesh_Name", "name": "Display Name", "description": "...", "group": "group-id" },
+//         { "pattern": "heat[\\s_-]*shield", "name": "Crew Module", "group": "crew-module" }
+//     ],
+//     "groups": {
+//         "crew-module": { "name": "Crew Module", "description": "..." }
+//     },
+//     "presets": [
+//         { "id": "crew-module", "label": "Crew Module", "group": "crew-module", "view": { "direction": [-0.4, 0.15, -1.1] } }
+//     ]
+// }
+//
+// Parts and groups can also carry rich information for the indicator card: "specs"
+// (mass, dimensions, material, manufacturer or any custom label), "images" (paths or
+// { "src", "caption" }, relative to the catalog file), "links" ({ "label", "url" }) and "body" (markdown).
+
+const DETAIL_FIELDS = ['specs', 'images', 'links', 'body'];
+
+export class PartCatalog {
+    constructor(data = {}, baseUrl = null) {
+        this.baseUrl = baseUrl; // URL the catalog was loaded from, for resolving relative image paths
+        this.rules = (Array.isArray(data.parts) ? data.parts : [])
+            .map((rule) => this.compileRule(rule))
+            .filter(Boolean);
+        this.groups = data.groups && typeof data.groups === 'object' ? data.groups : {};
+        this.presets = (Array.isArray(data.presets) ? data.presets : [])
+            .filter((preset) => preset && (preset.id || preset.group))
+            .map((preset) => ({
+                ...preset,
+                id: preset.id || preset.group,
+                label: preset.label || this.getGroupName(preset.group) || preset.id,
+                enabled: preset.enabled !== false,
+                view: preset.view || {}
+            }));
+    }
+
+    compileRule(rule) {
+        if (!rule) return null;
+
+        // Exact mesh names are compared case-sensitively, patterns are case-insensitive regexes
+        if (rule.mesh) {
+            return { ...rule, test: (meshName) => meshName === rule.mesh };
+        }
+        if (rule.pattern) {
+            try {
+                const regex = new RegExp(rule.pattern, rule.flags || 'i');
+                return { ...rule, test: (meshName) => regex.test(meshName) };
+            } catch (error) {
+                console.warn(`Invalid part catalog pattern "${rule.pattern}":`, error);
+            }
+        }
+        return null;
+    }
+
+    isEmpty() {
+        return this.rules.length === 0 && this.presets.length === 0;
+    }
+
+    match(meshName) {
+        if (!meshName) return null;
+        return this.rules.find((rule) => rule.test(meshName)) || null;
+    }
+
+    getGroup(groupId) {
+        return (groupId && this.groups[groupId]) || null;
+    }
+
+    getGroupName(groupId) {
+        const group = this.getGroup(groupId);
+        return group ? group.name || groupId : null;
+    }
+
+    getPreset(presetId) {
+        return this.presets.find((preset) => preset.id === presetId) || null;
+    }
+
+    getDetails(source) {
+        const details = {};
+        if (!source) return details;
+
+        DETAIL_FIELDS.forEach((field) => {
+            if (source[field]) details[field] = source[field];
+        });
+
+        if (Array.isArray(details.images)) {
+            details.images = details.images
+                .map((image) => (typeof image === 'string' ? { src: image } : image))
+                .filter((image) => image && image.src)
+                .map((image) => ({ ...image, src: this.resolveUrl(image.src) }));
+        }
+
+        return details;
+    }
+
+    resolveUrl(path) {
+        if (!this.baseUrl || /^([a-z][a-z0-9+.-]*:|\/)/i.test(path)) return path;
+        try {
+            return new URL(path, new URL(this.baseUrl, window.location.href)).href;
+        } catch (error) {
+            return path;
+        }
+    }
+
+    static fromGLTF(gltf) {
+        // Catalog can be authored on the glTF asset root or on the scene node
+        const data = (gltf.parser && gltf.parser.json && gltf.parser.json.extras && gltf.parser.json.extras.partCatalog)
+            || (gltf.scene && gltf.scene.userData && gltf.scene.userData.partCatalog);
+        return data ? new PartCatalog(data) : null;
+    }
+
+    static load(url) {
+        if (!url) return Promise.resolve(null);
+
+        return fetch(url)
+            .then((response) => (response.ok ? response.json() : null))
+            .then((data) => (data ? new PartCatalog(data, url) : null))
+            .catch((error) => {
+                console.log(`No part catalog found at ${url}:`, error.message);
+                return null;
+            });
+    }
+}
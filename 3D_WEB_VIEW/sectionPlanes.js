@@ -0,0 +1,312 @@
+// Section planes: up to three clipping planes for cutaway views, with filled caps on the cut surfaces.
+// Model materials share one `clippingPlanes` array (see `applyToMaterial`). Caps use the stencil
+// technique from the three.js clipping examples: for each plane, every model mesh is drawn again into
+// the stencil buffer only (back faces increment, front faces decrement), which leaves a non-zero
+// stencil wherever the plane passes through the inside of a closed mesh. A large plane drawn on the
+// section then only fills those pixels.
+//
+// A plane is stored as a cut direction (`normal`) and an `offset` along it from the model center.
+// By default the side the normal points to is cut away; `flipped` keeps that side instead.
+// The viewer calls `update()` once per frame from its render loop.
+
+import * as THREE from 'three';
+
+export const MAX_SECTION_PLANES = 3;
+
+const AXES = {
+    x: new THREE.Vector3(1, 0, 0),
+    y: new THREE.Vector3(0, 1, 0),
+    z: new THREE.Vector3(0, 0, 1)
+};
+const DEFAULT_CAP_COLOR = '#ff5533';
+const PLANE_HELPER_COLOR = 0x4a9eff;
+const RENDER_ORDER_BASE = 10; // After the model, before transparent overlays
+
+function createStencilMaterial(side, operation, plane) {
+    return new THREE.MeshBasicMaterial({
+        side,
+        clippingPlanes: [plane],
+        depthWrite: false,
+        depthTest: false,
+        colorWrite: false,
+        stencilWrite: true,
+        stencilFunc: THREE.AlwaysStencilFunc,
+        stencilFail: operation,
+        stencilZFail: operation,
+        stencilZPass: operation
+    });
+}
+
+export class SectionPlanes {
+    constructor(scene) {
+        this.scene = scene;
+        this.root = null;
+        this.center = new THREE.Vector3();
+        this.radius = 1;
+        this.planes = []; // { id, axis, normal, offset, flipped, enabled, capColor, plane, handle, helper, cap, stencil }
+        this.clippingPlanes = []; // Enabled planes, shared by every model material
+        this.nextId = 1;
+        this.highlighted = null; // Id of the plane whose outline is drawn, e.g. while its handle is shown
+        this.onChange = null; // Called after planes are added, removed or edited
+
+        this.group = new THREE.Group();
+        this.group.name = 'Section planes';
+        this.scene.add(this.group);
+    }
+
+    get canAdd() {
+        return this.planes.length < MAX_SECTION_PLANES;
+    }
+
+    applyToMaterial(material) {
+        if (!material) return;
+        material.clippingPlanes = this.clippingPlanes;
+        material.clipShadows = true;
+    }
+
+    setModel(root) {
+        this.root = root;
+        if (root) {
+            root.updateMatrixWorld(true);
+            const sphere = new THREE.Box3().setFromObject(root).getBoundingSphere(new THREE.Sphere());
+            this.center.copy(sphere.center);
+            this.radius = Math.max(sphere.radius, 0.001);
+        }
+
+        // Caps and stencil meshes are built from the model and sized to it
+        this.planes.forEach((entry) => {
+            this.disposeVisuals(entry);
+            this.createVisuals(entry);
+            this.syncPlane(entry);
+        });
+        this.refreshClipping();
+    }
+
+    // The model was scaled by `ratio` about the origin, e.g. for a new unit: keep every cut on the
+    // same part of it
+    rescale(ratio) {
+        this.planes.forEach((entry) => {
+            entry.offset *= ratio;
+        });
+        this.setModel(this.root);
+    }
+
+    addPlane(options = {}) {
+        if (!this.canAdd) return null;
+
+        const axis = options.axis || ['x', 'y', 'z'].find((name) => !this.planes.some((entry) => entry.axis === name)) || 'x';
+        const normal = options.normal ? new THREE.Vector3().fromArray(options.normal).normalize() : AXES[axis === 'free' ? 'x' : axis].clone();
+        const entry = {
+            id: options.id || this.nextId,
+            axis,
+            normal,
+            offset: Number(options.offset) || 0,
+            flipped: options.flipped === true,
+            enabled: options.enabled !== false,
+            capColor: options.capColor || DEFAULT_CAP_COLOR,
+            plane: new THREE.Plane()
+        };
+        this.nextId = Math.max(this.nextId, entry.id) + 1;
+
+        this.createVisuals(entry);
+        this.planes.push(entry);
+        this.syncPlane(entry);
+        this.refreshClipping();
+        return entry;
+    }
+
+    removePlane(entry) {
+        const index = this.planes.indexOf(entry);
+        if (index === -1) return;
+
+        this.planes.splice(index, 1);
+        this.disposeVisuals(entry);
+        this.refreshClipping();
+    }
+
+    getPlane(id) {
+        return this.planes.find((entry) => entry.id === id) || null;
+    }
+
+    // changes: any of { axis, normal (Vector3), offset, flipped, enabled, capColor }
+    updatePlane(entry, changes) {
+        if (changes.axis !== undefined) {
+            entry.axis = changes.axis;
+            if (AXES[changes.axis]) entry.normal.copy(AXES[changes.axis]);
+        }
+        if (changes.normal) entry.normal.copy(changes.normal).normalize();
+        if (changes.offset !== undefined) entry.offset = Number(changes.offset) || 0;
+        if (changes.flipped !== undefined) entry.flipped = changes.flipped;
+        if (changes.capColor !== undefined) {
+            entry.capColor = changes.capColor;
+            entry.cap.material.color.set(changes.capColor);
+        }
+
+        this.syncPlane(entry);
+        if (changes.enabled !== undefined && changes.enabled !== entry.enabled) {
+            entry.enabled = changes.enabled;
+            this.refreshClipping();
+        } else {
+            this.notify();
+        }
+    }
+
+    // Read the plane back from its handle after the handle has been dragged
+    updateFromHandle(entry) {
+        const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(entry.handle.quaternion).normalize();
+        const offset = entry.handle.position.clone().sub(this.center).dot(normal);
+        const axis = AXES[entry.axis] && normal.distanceTo(AXES[entry.axis]) < 1e-6 ? entry.axis : 'free';
+        this.updatePlane(entry, { axis, normal, offset });
+    }
+
+    syncPlane(entry) {
+        const point = this.center.clone().addScaledVector(entry.normal, entry.offset);
+        const keptSide = entry.flipped ? entry.normal.clone() : entry.normal.clone().negate();
+        entry.plane.setFromNormalAndCoplanarPoint(keptSide, point);
+
+        // The handle sits on the plane with its +Z along the cut direction
+        entry.handle.position.copy(point);
+        entry.handle.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), entry.normal);
+        entry.helper.size = this.radius * 2;
+
+        // The cap faces the cut-away side, where the viewer looks into the section from
+        entry.cap.position.copy(point);
+        entry.cap.lookAt(point.clone().sub(keptSide));
+        entry.cap.scale.setScalar(this.radius * 4);
+    }
+
+    createVisuals(entry) {
+        const plane = entry.plane;
+
+        entry.handle = new THREE.Object3D();
+        entry.handle.name = `Section plane ${entry.id} handle`;
+        this.group.add(entry.handle);
+
+        entry.helper = new THREE.PlaneHelper(plane, this.radius * 2, PLANE_HELPER_COLOR);
+        entry.helper.raycast = () => {};
+        this.group.add(entry.helper);
+
+        entry.cap = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.MeshStandardMaterial({
+                color: entry.capColor,
+                metalness: 0.1,
+                roughness: 0.8,
+                side: THREE.DoubleSide,
+                stencilWrite: true,
+                stencilRef: 0,
+                stencilFunc: THREE.NotEqualStencilFunc,
+                stencilFail: THREE.ReplaceStencilOp,
+                stencilZFail: THREE.ReplaceStencilOp,
+                stencilZPass: THREE.ReplaceStencilOp
+            })
+        );
+        entry.cap.raycast = () => {};
+        // Each plane's stencil counts start from zero
+        entry.cap.onAfterRender = (renderer) => renderer.clearStencil();
+        this.group.add(entry.cap);
+
+        entry.stencil = new THREE.Group();
+        entry.stencilMaterials = [
+            createStencilMaterial(THREE.BackSide, THREE.IncrementWrapStencilOp, plane),
+            createStencilMaterial(THREE.FrontSide, THREE.DecrementWrapStencilOp, plane)
+        ];
+        if (this.root) {
+            this.root.traverse((child) => {
+                if (!child.isMesh || !child.geometry) return;
+                entry.stencilMaterials.forEach((material) => {
+                    const mesh = new THREE.Mesh(child.geometry, material);
+                    mesh.matrixAutoUpdate = false;
+                    mesh.frustumCulled = false;
+                    // Follow the model mesh, including exploded view and gizmo moves
+                    mesh.onBeforeRender = () => mesh.matrixWorld.copy(child.matrixWorld);
+                    mesh.raycast = () => {};
+                    mesh.userData.source = child;
+                    entry.stencil.add(mesh);
+                });
+            });
+        }
+        this.group.add(entry.stencil);
+    }
+
+    disposeVisuals(entry) {
+        [entry.handle, entry.helper, entry.cap, entry.stencil].forEach((object) => {
+            if (object) this.group.remove(object);
+        });
+        if (entry.helper) entry.helper.dispose();
+        if (entry.cap) {
+            entry.cap.geometry.dispose();
+            entry.cap.material.dispose();
+        }
+        if (entry.stencilMaterials) {
+            entry.stencilMaterials.forEach((material) => material.dispose());
+        }
+    }
+
+    refreshClipping() {
+        // Update the shared array in place so every model material sees the change
+        const enabled = this.planes.filter((entry) => entry.enabled);
+        this.clippingPlanes.length = 0;
+        enabled.forEach((entry) => this.clippingPlanes.push(entry.plane));
+
+        this.planes.forEach((entry, index) => {
+            // Caps are trimmed by the other planes so they don't cover parts those planes cut away
+            entry.cap.material.clippingPlanes = enabled.filter((other) => other !== entry).map((other) => other.plane);
+            entry.cap.renderOrder = RENDER_ORDER_BASE + index + 0.5;
+            entry.stencil.children.forEach((mesh) => {
+                mesh.renderOrder = RENDER_ORDER_BASE + index;
+            });
+        });
+        this.update();
+        this.notify();
+    }
+
+    // True when a world-space point has been cut away, e.g. to ignore hidden raycast hits
+    isClipped(point) {
+        return this.clippingPlanes.some((plane) => plane.distanceToPoint(point) < 0);
+    }
+
+    update() {
+        this.planes.forEach((entry) => {
+            entry.cap.visible = entry.enabled && !!this.root;
+            entry.helper.visible = entry.enabled && entry.id === this.highlighted;
+            entry.stencil.visible = entry.enabled;
+            // Hidden parts must not leave caps behind
+            entry.stencil.children.forEach((mesh) => {
+                mesh.visible = this.isShown(mesh.userData.source);
+            });
+        });
+    }
+
+    isShown(object) {
+        let current = object;
+        while (current) {
+            if (!current.visible) return false;
+            if (current === this.root) return !!current.parent;
+            current = current.parent;
+        }
+        return false;
+    }
+
+    getState() {
+        return this.planes.map((entry) => ({
+            id: entry.id,
+            axis: entry.axis,
+            normal: entry.normal.toArray(),
+            offset: entry.offset,
+            flipped: entry.flipped,
+            enabled: entry.enabled,
+            capColor: entry.capColor
+        }));
+    }
+
+    setState(state) {
+        this.planes.slice().forEach((entry) => this.removePlane(entry));
+        (Array.isArray(state) ? state : []).slice(0, MAX_SECTION_PLANES).forEach((options) => this.addPlane(options));
+        this.refreshClipping();
+    }
+
+    notify() {
+        if (this.onChange) this.onChange(this.planes);
+    }
+}
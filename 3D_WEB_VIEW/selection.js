@@ -0,0 +1,192 @@
+// Selection: tracks the selected and hovered objects and draws a rim-glow highlight on them.
+// Highlights are overlay meshes that share the picked mesh's geometry, so shared materials are
+// never modified and the model's own scene graph (outliner, settings, raycasts) is left untouched.
+
+import * as THREE from 'three';
+
+const SELECTED_COLOR = 0x4a9eff;
+const HOVER_COLOR = 0xffffff;
+
+// The clipping chunks let section planes cut the glow along with the model
+const rimVertexShader = `
+    #include <clipping_planes_pars_vertex>
+    varying vec3 vNormal;
+    varying vec3 vViewDir;
+
+    void main() {
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        vNormal = normalize(normalMatrix * normal);
+        vViewDir = normalize(-mvPosition.xyz);
+        gl_Position = projectionMatrix * mvPosition;
+        #include <clipping_planes_vertex>
+    }
+`;
+
+const rimFragmentShader = `
+    uniform vec3 color;
+    uniform float opacity;
+    varying vec3 vNormal;
+    varying vec3 vViewDir;
+    #include <clipping_planes_pars_fragment>
+
+    void main() {
+        #include <clipping_planes_fragment>
+        // Brightest where the surface turns away from the viewer, with a faint fill on the face
+        float rim = pow(1.0 - abs(dot(normalize(vNormal), normalize(vViewDir))), 2.0);
+        gl_FragColor = vec4(color, (0.15 + rim * 0.85) * opacity);
+    }
+`;
+
+function createRimMaterial(color, opacity) {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            color: { value: new THREE.Color(color) },
+            opacity: { value: opacity }
+        },
+        vertexShader: rimVertexShader,
+        fragmentShader: rimFragmentShader,
+        transparent: true,
+        clipping: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        depthFunc: THREE.LessEqualDepth,
+        polygonOffset: true,
+        polygonOffsetFactor: -1,
+        polygonOffsetUnits: -1
+    });
+}
+
+export class SelectionManager {
+    constructor(scene) {
+        this.scene = scene;
+        this.selected = []; // Selected objects in pick order; the last one is the primary selection
+        this.hovered = null;
+        this.onChange = null; // Called with the selection array whenever it changes
+
+        this.selectedMaterial = createRimMaterial(SELECTED_COLOR, 0.9);
+        this.hoverMaterial = createRimMaterial(HOVER_COLOR, 0.35);
+        this.selectedOverlays = new Map(); // mesh -> overlay
+        this.hoverOverlays = new Map();
+    }
+
+    // Share the model's clipping planes so highlights are cut away with the parts
+    setClippingPlanes(planes) {
+        this.selectedMaterial.clippingPlanes = planes;
+        this.hoverMaterial.clippingPlanes = planes;
+    }
+
+    get primary() {
+        return this.selected.length > 0 ? this.selected[this.selected.length - 1] : null;
+    }
+
+    has(object) {
+        return this.selected.includes(object);
+    }
+
+    // additive: shift-click behaviour - toggle the object in or out of the current selection
+    select(object, additive = false) {
+        if (!object) {
+            if (!additive) this.clear();
+            return;
+        }
+
+        if (additive) {
+            this.selected = this.has(object)
+                ? this.selected.filter((item) => item !== object)
+                : [...this.selected, object];
+        } else {
+            if (this.selected.length === 1 && this.selected[0] === object) return;
+            this.selected = [object];
+        }
+        this.refreshSelectedOverlays();
+        this.notify();
+    }
+
+    setSelection(objects) {
+        this.selected = objects.filter(Boolean);
+        this.refreshSelectedOverlays();
+        this.notify();
+    }
+
+    clear() {
+        if (this.selected.length === 0 && !this.hovered) return;
+        this.selected = [];
+        this.hovered = null;
+        this.refreshSelectedOverlays();
+        this.refreshHoverOverlays();
+        this.notify();
+    }
+
+    setHovered(object) {
+        if (object === this.hovered) return;
+        this.hovered = object;
+        this.refreshHoverOverlays();
+    }
+
+    refreshSelectedOverlays() {
+        this.syncOverlays(this.selectedOverlays, this.selected, this.selectedMaterial);
+        // Selected meshes don't also need the hover glow
+        this.refreshHoverOverlays();
+    }
+
+    refreshHoverOverlays() {
+        const hovered = this.hovered && !this.has(this.hovered) ? [this.hovered] : [];
+        this.syncOverlays(this.hoverOverlays, hovered, this.hoverMaterial);
+    }
+
+    syncOverlays(overlays, objects, material) {
+        // Groups highlight every mesh below them
+        const meshes = new Set();
+        objects.forEach((object) => {
+            object.traverse((child) => {
+                if (child.isMesh && child.geometry) meshes.add(child);
+            });
+        });
+
+        overlays.forEach((overlay, mesh) => {
+            if (!meshes.has(mesh)) {
+                this.scene.remove(overlay);
+                overlays.delete(mesh);
+            }
+        });
+
+        meshes.forEach((mesh) => {
+            if (overlays.has(mesh)) return;
+            const overlay = new THREE.Mesh(mesh.geometry, material);
+            overlay.matrixAutoUpdate = false;
+            overlay.frustumCulled = false;
+            overlay.renderOrder = 1;
+            // Follow the mesh exactly, including transforms applied earlier in the same frame
+            overlay.onBeforeRender = () => overlay.matrixWorld.copy(mesh.matrixWorld);
+            overlay.raycast = () => {}; // Never pickable
+            overlay.userData.isSelectionOverlay = true;
+            this.scene.add(overlay);
+            overlays.set(mesh, overlay);
+        });
+
+        this.update();
+    }
+
+    // Hide overlays whose mesh is hidden or has been removed from the scene
+    update() {
+        [this.selectedOverlays, this.hoverOverlays].forEach((overlays) => {
+            overlays.forEach((overlay, mesh) => {
+                overlay.visible = this.isShown(mesh);
+            });
+        });
+    }
+
+    isShown(object) {
+        let current = object;
+        while (current) {
+            if (!current.visible) return false;
+            if (current === this.scene) return true;
+            current = current.parent;
+        }
+        return false;
+    }
+
+    notify() {
+        if (this.onChange) this.onChange(this.selected);
+    }
+}
@@ -0,0 +1,146 @@
+// Local project storage: named sessions and one autosave per model, kept in IndexedDB so they
+// survive reloads without downloading files. A session holds the same settings object that
+// "Save Settings to File" writes (lighting, annotations, custom textures as data URLs, ...):
+//
+//     { id, name, model, autosave, createdAt, updatedAt, settings }
+//
+// `model` is the model's file name, so sessions follow a model whether it was opened from the
+// model menu or from a local file. Session bundles are JSON files with several sessions:
+//
+//     { "format": "satellite-viewer-sessions", "version": 1, "sessions": [ ... ] }
+
+const DB_NAME = 'satellite-viewer';
+const DB_VERSION = 1;
+const STORE_NAME = 'sessions';
+
+const BUNDLE_FORMAT = 'satellite-viewer-sessions';
+const BUNDLE_VERSION = 1;
+
+function createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function getAutosaveId(model) {
+    return `autosave:${model}`;
+}
+
+export class SessionStore {
+    constructor() {
+        this.database = null; // Promise of the open database
+    }
+
+    get isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('model', 'model');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Allow another attempt after a failure, e.g. storage blocked in a private window
+            this.database.catch(() => {
+                this.database = null;
+            });
+        }
+        return this.database;
+    }
+
+    // Run one request in its own transaction; resolves with the request's result once committed
+    run(mode, action) {
+        return this.open().then((db) => new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = action(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+
+    // Sessions of a model: the autosave first, then the most recently changed
+    list(model) {
+        return this.run('readonly', (store) => store.index('model').getAll(model)).then((sessions) => sessions.sort((a, b) => {
+            if (a.autosave !== b.autosave) return a.autosave ? -1 : 1;
+            return b.updatedAt - a.updatedAt;
+        }));
+    }
+
+    get(id) {
+        return this.run('readonly', (store) => store.get(id));
+    }
+
+    put(session) {
+        return this.run('readwrite', (store) => store.put(session)).then(() => session);
+    }
+
+    delete(id) {
+        return this.run('readwrite', (store) => store.delete(id));
+    }
+
+    create(model, name, settings) {
+        const now = Date.now();
+        return this.put({ id: createId(), name, model, autosave: false, createdAt: now, updatedAt: now, settings });
+    }
+
+    autosave(model, settings) {
+        const id = getAutosaveId(model);
+        return this.get(id).then((existing) => {
+            const now = Date.now();
+            return this.put({
+                id,
+                name: 'Autosave',
+                model,
+                autosave: true,
+                createdAt: existing ? existing.createdAt : now,
+                updatedAt: now,
+                settings
+            });
+        });
+    }
+
+    rename(session, name) {
+        return this.put({ ...session, name, updatedAt: Date.now() });
+    }
+
+    duplicate(session, name) {
+        return this.create(session.model, name, session.settings);
+    }
+
+    exportBundle(model) {
+        return this.list(model).then((sessions) => ({
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            exportedAt: new Date().toISOString(),
+            sessions
+        }));
+    }
+
+    // Imported sessions get new ids so they never replace existing ones; an imported autosave
+    // becomes a named session. Resolves with the number of sessions added.
+    importBundle(bundle) {
+        if (!bundle || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.sessions)) {
+            return Promise.reject(new Error('The file is not a session bundle'));
+        }
+        if (bundle.version > BUNDLE_VERSION) {
+            return Promise.reject(new Error(`The bundle is from a newer version of the viewer (bundle version ${bundle.version})`));
+        }
+
+        const sessions = bundle.sessions.filter((session) => session && typeof session.model === 'string' && session.settings && typeof session.settings === 'object');
+        const now = Date.now();
+        return sessions.reduce((chain, session) => chain.then(() => this.put({
+            id: createId(),
+            name: session.autosave ? 'Autosave (imported)' : String(session.name || 'Imported session'),
+            model: session.model,
+            autosave: false,
+            createdAt: Number(session.createdAt) || now,
+            updatedAt: Number(session.updatedAt) || now,
+            settings: session.settings
+        })), Promise.resolve()).then(() => sessions.length);
+    }
+}
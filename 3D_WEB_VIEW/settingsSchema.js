@@ -0,0 +1,285 @@
+// Settings files: the format written by "Save Settings to File", with validation and migration.
+// Every file carries a `version`; files written before versioning have none and count as version 1.
+// Older files are upgraded one version at a time by `MIGRATIONS` and then validated, so exports keep
+// loading as the format grows. Invalid fields are dropped and reported rather than applied.
+//
+// To change the format: bump SETTINGS_VERSION, add a migration from the previous version and
+// describe the new fields in FIELDS (or `validateSceneData` for model state).
+
+export const SETTINGS_VERSION = 4;
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Top-level fields; number ranges match the lighting panel sliders
+const FIELDS = {
+    backgroundType: { type: 'enum', values: ['stars', 'color'] },
+    backgroundColor: { type: 'color' },
+    backgroundIntensity: { type: 'number', min: 0, max: 2 },
+    ambientIntensity: { type: 'number', min: 0, max: 2 },
+    ambientColor: { type: 'color' },
+    directionalIntensity: { type: 'number', min: 0, max: 3 },
+    directionalColor: { type: 'color' },
+    directionalX: { type: 'number', min: -10, max: 10 },
+    directionalY: { type: 'number', min: -10, max: 10 },
+    directionalZ: { type: 'number', min: -10, max: 10 },
+    fillIntensity: { type: 'number', min: 0, max: 2 },
+    fillColor: { type: 'color' },
+    pointIntensity: { type: 'number', min: 0, max: 2 },
+    pointColor: { type: 'color' },
+    environmentType: { type: 'enum', values: ['none', 'hdri'] },
+    envIntensity: { type: 'number', min: 0, max: 3 },
+    modelUnit: { type: 'enum', values: ['auto', 'mm', 'cm', 'm', 'km', 'fit'] },
+    sceneData: { type: 'sceneData' },
+    loadPanelCollapsed: { type: 'boolean' },
+    lightingPanelCollapsed: { type: 'boolean' },
+    outlinerPanelCollapsed: { type: 'boolean' },
+    rightPanelCollapsed: { type: 'boolean' }
+};
+
+// Each migration takes settings of the version it is keyed by and returns the next version
+const MIGRATIONS = {
+    1: (settings) => {
+        // Version 1 stored slider values as the strings read from the inputs
+        const numericFields = [
+            'backgroundIntensity', 'ambientIntensity', 'directionalIntensity', 'directionalX', 'directionalY',
+            'directionalZ', 'fillIntensity', 'pointIntensity', 'envIntensity'
+        ];
+        const migrated = { ...settings, version: 2 };
+        numericFields.forEach((key) => {
+            const value = migrated[key];
+            if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+                migrated[key] = Number(value);
+            }
+        });
+        return migrated;
+    },
+    2: (settings) => {
+        // Version 2 keyed part data, isolation and hotspots by runtime uuid; version 3 stores entries
+        // with node references (see nodeIds.js). A bare uuid still matches within the same session.
+        // Hotspots keep their own pin `id` and nest the reference to their mesh under `node`.
+        const migrated = { ...settings, version: 3 };
+        const sceneData = settings.sceneData;
+        if (!isObject(sceneData)) return migrated;
+
+        migrated.sceneData = { ...sceneData };
+        if (isObject(sceneData.partData)) {
+            migrated.sceneData.partData = Object.keys(sceneData.partData).map((uuid) => ({ uuid, partInfo: sceneData.partData[uuid] }));
+        }
+        if (isObject(sceneData.isolation)) {
+            const previous = isObject(sceneData.isolation.previousVisibility) ? sceneData.isolation.previousVisibility : {};
+            migrated.sceneData.isolation = {
+                node: { uuid: sceneData.isolation.uuid },
+                previousVisibility: Object.keys(previous).map((uuid) => ({ uuid, visible: previous[uuid] }))
+            };
+        }
+        if (Array.isArray(sceneData.hotspots)) {
+            migrated.sceneData.hotspots = sceneData.hotspots.map((pin) => {
+                if (!isObject(pin) || pin.node !== undefined) return pin;
+                const { uuid, ...rest } = pin;
+                return { ...rest, node: { uuid } };
+            });
+        }
+        return migrated;
+    },
+    3: (settings) => ({
+        // Version 4 adds `modelUnit`; older files leave the unit as it is
+        ...settings,
+        version: 4
+    })
+};
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+    const text = JSON.stringify(value);
+    return text === undefined ? String(value) : text;
+}
+
+export function migrateSettings(settings) {
+    const version = settings.version === undefined ? 1 : settings.version;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Unknown settings version ${describe(settings.version)}`);
+    }
+    if (version > SETTINGS_VERSION) {
+        throw new Error(`The file is from a newer version of the viewer (settings version ${version}, this viewer reads up to ${SETTINGS_VERSION})`);
+    }
+
+    let migrated = { ...settings, version };
+    while (migrated.version < SETTINGS_VERSION) {
+        migrated = MIGRATIONS[migrated.version](migrated);
+    }
+    return migrated;
+}
+
+function validateField(key, value, field) {
+    switch (field.type) {
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `expected a number, got ${describe(value)}`;
+            if (value < field.min || value > field.max) return `expected a number from ${field.min} to ${field.max}, got ${value}`;
+            return null;
+        case 'color':
+            return typeof value === 'string' && COLOR_PATTERN.test(value) ? null : `expected a color like "#4a9eff", got ${describe(value)}`;
+        case 'enum':
+            return field.values.includes(value) ? null : `expected one of ${field.values.map((option) => `"${option}"`).join(', ')}, got ${describe(value)}`;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `expected true or false, got ${describe(value)}`;
+        default:
+            return `unknown field type for ${key}`;
+    }
+}
+
+// Keep the entries of `list` that pass `check` (which returns an error message or null)
+function validateList(list, path, check, errors) {
+    if (!Array.isArray(list)) {
+        errors.push(`${path}: expected a list`);
+        return undefined;
+    }
+    return list.filter((entry, index) => {
+        const error = isObject(entry) ? check(entry) : 'expected an object';
+        if (error) errors.push(`${path}[${index}]: ${error}`);
+        return !error;
+    });
+}
+
+// Saved material properties; the ranges match the material sliders, except emissive intensity,
+// which glTF files may push past the slider. `null` means the material has no such property.
+const MATERIAL_FIELDS = {
+    color: { type: 'color' },
+    emissive: { type: 'color' },
+    roughness: { type: 'number', min: 0, max: 1 },
+    metalness: { type: 'number', min: 0, max: 1 },
+    emissiveIntensity: { type: 'number', min: 0, max: Number.MAX_VALUE },
+    opacity: { type: 'number', min: 0, max: 1 },
+    transparent: { type: 'boolean' }
+};
+
+function checkMaterial(entry) {
+    if (!(Number.isInteger(entry.index) && entry.index >= 0)) return '"index" must be a whole number from 0';
+    for (const key of Object.keys(MATERIAL_FIELDS)) {
+        if (entry[key] === undefined || (entry[key] === null && key !== 'transparent')) continue;
+        const error = validateField(key, entry[key], MATERIAL_FIELDS[key]);
+        if (error) return `"${key}": ${error}`;
+    }
+    if (entry.textures !== undefined && !(isObject(entry.textures)
+        && Object.values(entry.textures).every((value) => value === true || typeof value === 'string'))) {
+        return '"textures" must map texture slots to a URL or true';
+    }
+    return null;
+}
+
+// Transform and state fields shared by saved meshes and groups
+function checkNodeState(entry) {
+    for (const key of ['position', 'rotation', 'scale']) {
+        const value = entry[key];
+        if (value !== undefined && !(isObject(value) && ['x', 'y', 'z'].every((axis) => Number.isFinite(value[axis])))) {
+            return `"${key}" must be { "x", "y", "z" } numbers`;
+        }
+    }
+    for (const key of ['visible', 'locked']) {
+        if (entry[key] !== undefined && typeof entry[key] !== 'boolean') return `"${key}" must be true or false`;
+    }
+    return null;
+}
+
+// Entries refer to model nodes by any of id, name and uuid (see nodeIds.js)
+function requireNodeRef(entry) {
+    const hasId = typeof entry.id === 'string';
+    const hasName = typeof entry.name === 'string' && entry.name !== '';
+    const hasUuid = typeof entry.uuid === 'string' && entry.uuid !== '';
+    return hasId || hasName || hasUuid ? null : 'missing a node reference ("id", "name" or "uuid")';
+}
+
+function validateSceneData(sceneData, errors) {
+    if (sceneData === null) return null;
+    if (!isObject(sceneData)) {
+        errors.push(`sceneData: expected an object, got ${describe(sceneData)}`);
+        return undefined;
+    }
+
+    const valid = { ...sceneData };
+
+    // Bad materials are dropped on their own; the rest of their object still applies
+    if (Array.isArray(valid.objects)) {
+        valid.objects = valid.objects.map((entry, index) => (isObject(entry) && Array.isArray(entry.materials)
+            ? { ...entry, materials: validateList(entry.materials, `sceneData.objects[${index}].materials`, checkMaterial, errors) }
+            : entry));
+    }
+
+    const lists = {
+        objects: (entry) => requireNodeRef(entry) || checkNodeState(entry)
+            || (entry.materials !== undefined && !Array.isArray(entry.materials) ? '"materials" must be a list' : null),
+        nodes: (entry) => requireNodeRef(entry) || checkNodeState(entry),
+        partData: (entry) => requireNodeRef(entry) || (isObject(entry.partInfo) ? null : '"partInfo" must be an object')
+            || (entry.edited !== undefined && typeof entry.edited !== 'boolean' ? '"edited" must be true or false' : null),
+        sections: (entry) => (entry.normal !== undefined && !(Array.isArray(entry.normal) && entry.normal.length === 3) ? '"normal" must be [x, y, z]' : null),
+        hotspots: (entry) => (isObject(entry.node) ? requireNodeRef(entry.node) : 'missing a node reference ("node")')
+            || (entry.id !== undefined && !(Number.isInteger(entry.id) && entry.id > 0) ? '"id" must be a positive whole number' : null)
+            || (Array.isArray(entry.point) && entry.point.length === 3 && entry.point.every(Number.isFinite) ? null : '"point" must be [x, y, z]')
+    };
+    Object.keys(lists).forEach((key) => {
+        if (valid[key] === undefined) return;
+        valid[key] = validateList(valid[key], `sceneData.${key}`, lists[key], errors);
+        if (valid[key] === undefined) delete valid[key];
+    });
+
+    const isolation = valid.isolation;
+    if (isolation !== undefined && isolation !== null) {
+        if (!isObject(isolation) || !isObject(isolation.node) || requireNodeRef(isolation.node)) {
+            errors.push('sceneData.isolation: expected an object with a "node" reference');
+            delete valid.isolation;
+        } else if (isolation.previousVisibility !== undefined) {
+            valid.isolation = {
+                ...isolation,
+                previousVisibility: validateList(isolation.previousVisibility, 'sceneData.isolation.previousVisibility', requireNodeRef, errors) || []
+            };
+        }
+    }
+    if (valid.explode !== undefined && !(typeof valid.explode === 'number' && valid.explode >= 0 && valid.explode <= 1)) {
+        errors.push(`sceneData.explode: expected a number from 0 to 1, got ${describe(valid.explode)}`);
+        delete valid.explode;
+    }
+    return valid;
+}
+
+// Returns { settings, errors } where `settings` only has the valid fields and `errors` lists the
+// rejected ones as "field: reason"
+export function validateSettings(settings) {
+    const errors = [];
+    const valid = { version: settings.version };
+
+    Object.keys(settings).forEach((key) => {
+        if (key === 'version') return;
+
+        const field = FIELDS[key];
+        if (!field) {
+            errors.push(`${key}: unknown field`);
+            return;
+        }
+
+        if (field.type === 'sceneData') {
+            const sceneData = validateSceneData(settings[key], errors);
+            if (sceneData !== undefined) valid[key] = sceneData;
+            return;
+        }
+
+        const error = validateField(key, settings[key], field);
+        if (error) {
+            errors.push(`${key}: ${error}`);
+        } else {
+            valid[key] = settings[key];
+        }
+    });
+
+    return { settings: valid, errors };
+}
+
+// Parsed file contents -> { settings, errors }, migrated to the current version. Throws when the
+// file can't be read as settings at all.
+export function readSettings(data) {
+    if (!isObject(data)) {
+        throw new Error('The file must contain a settings object');
+    }
+    return validateSettings(migrateSettings(data));
+}
@@ -0,0 +1,164 @@
+// Guided tour playback: an ordered list of steps, each with a camera pose or part preset,
+// a part to highlight, caption text and a duration. The player only handles sequencing
+// and timing; the viewer moves the camera and shows captions through `showTourStep`.
+//
+// Tour format (e.g. "Orion.tour.json" next to "Orion.gltf"):
+// {
+//     "title": "Orion walkthrough",
+//     "autoplay": true,
+//     "loop": false,
+//     "steps": [
+//         { "preset": "crew-module", "caption": "The crew module...", "duration": 8000 },
+//         {
+//             "camera": { "position": [4, 1, -6], "target": [0, 0, 0], "fov": 60 },
+//             "part": "HEAT_Shield-Heat_Shield_Metal_UV",
+//             "caption": "The heat shield...",
+//             "duration": 6000,
+//             "transition": 2000
+//         }
+//     ]
+// }
+
+const DEFAULT_STEP_DURATION = 6000;
+
+export class TourPlayer {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.tour = null;
+        this.currentIndex = -1;
+        this.isPlaying = false;
+        this.stepTimeout = null;
+        this.onChange = null; // Called after every state change so the UI can refresh
+    }
+
+    static normalize(data) {
+        if (!data || !Array.isArray(data.steps)) {
+            throw new Error('Tour file must contain a "steps" array');
+        }
+
+        const steps = data.steps
+            .filter((step) => step && (step.camera || step.preset || step.part || step.group || step.caption))
+            .map((step) => ({
+                ...step,
+                duration: Number(step.duration) > 0 ? Number(step.duration) : DEFAULT_STEP_DURATION
+            }));
+
+        if (steps.length === 0) {
+            throw new Error('Tour has no playable steps');
+        }
+
+        return {
+            title: data.title || 'Guided Tour',
+            autoplay: data.autoplay === true,
+            loop: data.loop === true,
+            steps
+        };
+    }
+
+    static load(url) {
+        if (!url) return Promise.resolve(null);
+
+        return fetch(url)
+            .then((response) => (response.ok ? response.json() : null))
+            .then((data) => (data ? TourPlayer.normalize(data) : null))
+            .catch((error) => {
+                console.log(`No tour found at ${url}:`, error.message);
+                return null;
+            });
+    }
+
+    setTour(tour) {
+        this.stop();
+        this.tour = tour;
+        this.notify();
+    }
+
+    get stepCount() {
+        return this.tour ? this.tour.steps.length : 0;
+    }
+
+    get isActive() {
+        return this.currentIndex >= 0;
+    }
+
+    start() {
+        if (!this.tour) return;
+        this.isPlaying = true;
+        this.goTo(0);
+    }
+
+    play() {
+        if (!this.tour) return;
+        if (!this.isActive) {
+            this.start();
+            return;
+        }
+        this.isPlaying = true;
+        this.scheduleNext();
+        this.notify();
+    }
+
+    pause() {
+        this.isPlaying = false;
+        clearTimeout(this.stepTimeout);
+        this.notify();
+    }
+
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    next() {
+        if (!this.tour) return;
+        if (this.currentIndex + 1 < this.stepCount) {
+            this.goTo(this.currentIndex + 1);
+        } else if (this.tour.loop) {
+            this.goTo(0);
+        } else {
+            // Last step reached - stay on it
+            this.pause();
+        }
+    }
+
+    previous() {
+        if (!this.tour || this.currentIndex <= 0) return;
+        this.goTo(this.currentIndex - 1);
+    }
+
+    goTo(index) {
+        if (!this.tour || index < 0 || index >= this.stepCount) return;
+
+        clearTimeout(this.stepTimeout);
+        this.currentIndex = index;
+        this.viewer.showTourStep(this.tour.steps[index], index);
+        this.scheduleNext();
+        this.notify();
+    }
+
+    scheduleNext() {
+        clearTimeout(this.stepTimeout);
+        if (!this.isPlaying || !this.isActive) return;
+
+        const step = this.tour.steps[this.currentIndex];
+        this.stepTimeout = setTimeout(() => this.next(), step.duration);
+    }
+
+    stop() {
+        clearTimeout(this.stepTimeout);
+        const wasActive = this.isActive;
+        this.isPlaying = false;
+        this.currentIndex = -1;
+        if (wasActive) {
+            this.viewer.endTour();
+        }
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) this.onChange(this);
+    }
+}
@@ -0,0 +1,87 @@
+// Share links: the view is encoded in the URL hash so that opening the link restores it.
+// Query parameters with the same names are read too; the hash wins when both are present.
+//
+//     index.html#model=assets/models/Orion.gltf&camera=4,1,-6&target=0,0,0&fov=60&spin=12.5
+//         &part=0/3/1&preset=crew-module&lighting=ambient-intensity:0.8;background-color:%23102030
+//
+// - model:    a `data-model` path from the Replace Model menu
+// - camera:   camera position, target: orbit target (both x,y,z), fov: vertical field of view
+// - spin:     seconds into the model's idle rotation cycle, which sets its turn and the lights'
+// - part:     the selected node as child indices from the model root
+// - preset:   id of the active part catalog preset
+// - lighting: lighting panel controls that differ from the page defaults, as id:value pairs
+
+const PRECISION = 4;
+
+function encodeValue(value) {
+    // Keep paths, vectors and pairs readable; everything else is escaped as usual
+    return encodeURIComponent(value)
+        .replace(/%2F/g, '/')
+        .replace(/%2C/g, ',')
+        .replace(/%3A/g, ':')
+        .replace(/%3B/g, ';');
+}
+
+function formatVector(values) {
+    return values.map((value) => Number(value.toFixed(PRECISION))).join(',');
+}
+
+function parseVector(text) {
+    if (!text) return null;
+    const values = text.split(',').map(Number);
+    return values.length === 3 && values.every(Number.isFinite) ? values : null;
+}
+
+// Returns { model, camera: { position, target, fov }, spin, part, preset, lighting: { id: value } }
+// with only the fields present in the URL, or null when it carries no view
+export function parseViewLink(location) {
+    const params = new URLSearchParams(location.search);
+    new URLSearchParams(location.hash.replace(/^#/, '')).forEach((value, key) => params.set(key, value));
+
+    const link = {};
+    if (params.get('model')) link.model = params.get('model');
+
+    const position = parseVector(params.get('camera'));
+    const target = parseVector(params.get('target'));
+    if (position) {
+        link.camera = { position, target: target || [0, 0, 0] };
+        const fov = Number(params.get('fov'));
+        if (fov > 0 && fov < 180) link.camera.fov = fov;
+    }
+
+    const spin = params.has('spin') ? Number(params.get('spin')) : NaN;
+    if (Number.isFinite(spin)) link.spin = spin;
+
+    if (params.get('part')) link.part = params.get('part');
+    if (params.get('preset')) link.preset = params.get('preset');
+
+    if (params.has('lighting')) {
+        link.lighting = {};
+        params.get('lighting').split(';').forEach((pair) => {
+            const separator = pair.indexOf(':');
+            if (separator > 0) link.lighting[pair.slice(0, separator)] = pair.slice(separator + 1);
+        });
+    }
+
+    return Object.keys(link).length > 0 ? link : null;
+}
+
+export function formatViewLink(location, link) {
+    const params = [];
+    const add = (key, value) => params.push(`${key}=${encodeValue(String(value))}`);
+
+    if (link.model) add('model', link.model);
+    if (link.camera) {
+        add('camera', formatVector(link.camera.position));
+        add('target', formatVector(link.camera.target));
+        if (link.camera.fov) add('fov', Number(link.camera.fov.toFixed(2)));
+    }
+    if (Number.isFinite(link.spin)) add('spin', Number(link.spin.toFixed(2)));
+    if (link.part) add('part', link.part);
+    if (link.preset) add('preset', link.preset);
+
+    const lighting = Object.entries(link.lighting || {});
+    if (lighting.length > 0) add('lighting', lighting.map(([id, value]) => `${id}:${value}`).join(';'));
+
+    return `${location.origin}${location.pathname}${location.search}#${params.join('&')}`;
+}
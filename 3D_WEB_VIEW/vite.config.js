@@ -0,0 +1,10 @@
+import { defineConfig } from 'vite';
+
+export default defineConfig({
+    server: {
+        fs: {
+            // The viewer imports the shared drag-and-drop helpers from ../dropArea
+            allow: ['..']
+        }
+    }
+});